@@ -16,8 +16,11 @@ function isSupportedTabUrl(url) {
 
   try {
     const parsed = new URL(url);
+    // SharePoint and Teams host reports in iframes; the content script in the
+    // top window annotates them
     return parsed.protocol === 'https:' &&
-      (parsed.hostname === 'app.powerbi.com' || parsed.hostname.endsWith('.powerbi.com'));
+      (parsed.hostname === 'app.powerbi.com' || parsed.hostname.endsWith('.powerbi.com') ||
+        parsed.hostname.endsWith('.sharepoint.com') || parsed.hostname === 'teams.microsoft.com');
   } catch (error) {
     return false;
   }
@@ -36,6 +39,10 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// The content script runs in every frame, but only the top window has the
+// sidebar; report iframes just report their canvas to it.
+const TOP_FRAME = { frameId: 0 };
+
 // Handle extension icon clicks.
 // If a screenshot capture is pending, capture it (activeTab is granted by the click).
 // Otherwise, toggle the sidebar as usual.
@@ -57,7 +64,7 @@ chrome.action.onClicked.addListener((tab) => {
       captureAndSend(tab);
     } else {
       // Normal behavior: toggle sidebar
-      chrome.tabs.sendMessage(tab.id, { action: 'toggleSidebar' });
+      chrome.tabs.sendMessage(tab.id, { action: 'toggleSidebar' }, TOP_FRAME);
     }
   });
 });
@@ -69,7 +76,7 @@ chrome.action.onClicked.addListener((tab) => {
 const CAPTURE_SETTLE_MS = 1500;
 
 function captureAndSend(tab) {
-  chrome.tabs.sendMessage(tab.id, { action: 'hideForCapture' }, () => {
+  chrome.tabs.sendMessage(tab.id, { action: 'hideForCapture' }, TOP_FRAME, () => {
     setTimeout(() => {
       chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }, (dataUrl) => {
         if (chrome.runtime.lastError) {
@@ -78,12 +85,12 @@ function captureAndSend(tab) {
             action: 'screenshotResult',
             screenshot: null,
             error: chrome.runtime.lastError.message
-          });
+          }, TOP_FRAME);
         } else {
           chrome.tabs.sendMessage(tab.id, {
             action: 'screenshotResult',
             screenshot: dataUrl
-          });
+          }, TOP_FRAME);
         }
         clearPendingCapture();
       });
@@ -109,6 +116,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'prepareCapture') {
     setPendingCapture(sender.tab.id);
     sendResponse({ ok: true });
+  } else if (request.action === 'openOptions') {
+    // Content scripts can't open the settings page themselves
+    chrome.runtime.openOptionsPage();
+    sendResponse({ ok: true });
   } else if (request.action === 'cancelCapture') {
     clearPendingCapture();
     sendResponse({ ok: true });
@@ -6,15 +6,27 @@ let annotations = [];
 let currentAnnotation = null;
 let startX, startY;
 let sidebarOpen = false;
-let currentDrawingTool = 'rectangle'; // rectangle, arrow, line, circle, freehand
+let currentDrawingTool = 'rectangle'; // select, rectangle, arrow, line, circle, freehand, polygon, polyline, text, area, highlighter, redact, pin
 let currentColor = '#0078d4';
+let currentFontSize = 14; // text tool
+let currentTextBackground = 'white'; // text tool: white, solid, none
+let currentOpacity = 0.35; // area and highlighter tools
+let currentRedactStyle = 'pixelate'; // redact tool: pixelate, blackout
+let currentStrokeWidth = 3; // outline tools (see Tools.isStrokeTool)
+let currentDash = 'solid'; // solid, dashed, dotted
+let currentArrowheads = { arrow: 'end', line: 'none' }; // none, start, end, both - remembered per tool
 let freehandPoints = [];
+let vertexPoints = []; // polygon / polyline vertices clicked so far
 let annotationIdCounter = 0; // [Fix #11] Counter to avoid Date.now() collisions
 let allAnnotationsCache = null; // Mirror of pageStore data for legacy call sites
 let lastPageKey = null; // Tracked by the SPA navigation watcher (separate from pageStore's listener)
 let lastReportId = null; // Track current report ID to detect report switches
 let screenshotCache = {}; // { pageKey: dataUrl } - cached screenshots per page
 let pageNameCache = {}; // { pageKey: displayName } - page names from Power BI embed API
+let selectedAnnotationId = null; // Annotation showing drag handles (select tool)
+let selectionDrag = null; // { id, handle, startX, startY, original, preview } while dragging a selection
+let showResolved = true; // Draw resolved / won't-fix shapes (dimmed) on the report
+let exportStatusFilter = 'all'; // Which statuses exports include (see EXPORT_STATUS_FILTERS)
 
 // Live active-page identity from the Power BI embed API (page-world script).
 // This is the ONLY reliable page identity in App view, where PBI keeps the URL
@@ -22,14 +34,197 @@ let pageNameCache = {}; // { pageKey: displayName } - page names from Power BI e
 // stable section id (e.g. "ReportSection2"), `displayName` is human-readable.
 let currentEmbedPage = { name: null, displayName: null };
 
+// True once the page script has forwarded any embed API event. From then on
+// page renders are signalled by 'rendered' instead of being assumed.
+let embedEventsAvailable = false;
+// Page key whose first render after a page change is still pending
+let awaitingRenderKey = null;
+
+// All report pages from the embed API's report.getPages(): { name,
+// displayName, order, visibility }, sorted by order. The primary source for
+// page order, names and navigation; empty until the page script reports,
+// in which case the page-tab heuristics are used instead.
+let embedPages = [];
+
+// Visuals on the active page as reported by the embed API: { name, title,
+// type, layout } with layouts in report page units (pageSize). Empty outside
+// the embed API.
+let embedVisuals = { pageName: null, pageSize: null, visuals: [] };
+
+// Custom portals and SharePoint pages can host several report embeds side by
+// side. The page script reports each one by index; embedStates keeps the
+// per-embed values, and currentEmbedPage / embedPages / embedVisuals above
+// mirror the active embed: the one last clicked or drawn on. Each embed's
+// report + page is its own page key, and its container is its canvas.
+let embedStates = {}; // embedIndex → { reportId, page, pages, visuals }
+let embedCount = 1;
+let activeEmbedIndex = 0;
+
+function isMultiEmbed() {
+  return embedCount > 1;
+}
+
+function embedStateFor(index) {
+  if (!embedStates[index]) {
+    embedStates[index] = {
+      reportId: null,
+      page: { name: null, displayName: null },
+      pages: [],
+      visuals: { pageName: null, pageSize: null, visuals: [] },
+    };
+  }
+  return embedStates[index];
+}
+
+function syncActiveEmbed() {
+  const state = embedStateFor(activeEmbedIndex);
+  currentEmbedPage = state.page;
+  embedPages = state.pages;
+  embedVisuals = state.visuals;
+}
+
+// Make another embed the one annotations are drawn on and listed for
+function setActiveEmbed(index) {
+  if (index === activeEmbedIndex || !embedStates[index]) return;
+  activeEmbedIndex = index;
+  syncActiveEmbed();
+  pageStore.checkPageChange();
+  // That embed has already rendered; no 'rendered' event will follow
+  pageStore.pageRendered();
+}
+
+function embedContainer(index) {
+  return document.querySelector(`[data-pbi-annotator-embed="${index}"]`);
+}
+
+// Activate the embed under a viewport point, if any
+function focusEmbedAt(clientX, clientY) {
+  for (const container of document.querySelectorAll('[data-pbi-annotator-embed]')) {
+    const r = container.getBoundingClientRect();
+    if (clientX >= r.left && clientX <= r.right && clientY >= r.top && clientY <= r.bottom) {
+      setActiveEmbed(Number(container.dataset.pbiAnnotatorEmbed));
+      return;
+    }
+  }
+}
+
+// Reports embedded in an iframe on a host page (SharePoint Online, Teams, other
+// portals). Inside the report iframe, frame-agent.js only reports its page and
+// canvas rectangle to the top window; the sidebar, drawing, storage and
+// capture stay in the top window, drawing over the iframe through a proxy
+// element covering the frame's canvas.
+let reportFrames = new Map(); // iframe element → { iframe, location, pageName, canvas }
+let reportFrame = null; // The frame annotations currently go to
+let frameCanvasProxy = null;
+
+function isPowerBIHost() {
+  return window.location.protocol === 'file:' ||
+    window.PowerBIAnnotatorReportDom.isPowerBIOrigin(window.location.origin);
+}
+
 function isAppView() {
   return window.location.pathname.includes('/apps/');
 }
 
+// Dashboards (tiles pinned from reports) have no pages or embed API report;
+// the tile grid is the canvas and tiles take the place of visuals. (Reads the
+// URL, not the page key: getPageName() relies on this.)
+function isDashboardView() {
+  return /\/dashboards\/|\/dashboardEmbed/i.test(reportLocation().pathname);
+}
+
+// Paginated (RDL) reports render as a scrolling document of pages. The
+// rendered page taking up most of the viewport is the current page, keyed by
+// its number, and its page element is the canvas.
+let currentRenderedPage = 1;
+// Set while a multi-page export captures rendered pages: scrolling one to its
+// shapes must not hand "current" to the neighbour that then fills the view
+let renderedPageHeld = false;
+
+function isPaginatedView() {
+  return /\/rdlreports\//i.test(reportLocation().pathname);
+}
+
+function getRenderedPages() {
+  const pages = document.querySelectorAll('[data-page-number]');
+  return Array.from(pages.length > 0 ? pages : document.querySelectorAll('div[class*="renderedPage"], div[class*="rdlPage"]'));
+}
+
+function renderedPageNumber(element, index) {
+  return Number(element.dataset.pageNumber) || index + 1;
+}
+
+function renderedPageElement(number) {
+  return getRenderedPages().find((element, index) => renderedPageNumber(element, index) === number) || null;
+}
+
+function setCurrentRenderedPage(number) {
+  if (number === currentRenderedPage) return;
+  currentRenderedPage = number;
+  pageStore.checkPageChange();
+}
+
+// After scrolling: the rendered page with the most of itself in view. Not
+// while a shape is being drawn, which belongs to the page it started on.
+function updateCurrentRenderedPage() {
+  if (renderedPageHeld || currentAnnotation || vertexPoints.length > 0) return;
+  let best = null;
+  let bestVisible = 0;
+  getRenderedPages().forEach((element, index) => {
+    const r = element.getBoundingClientRect();
+    const visible = Math.max(0, Math.min(r.bottom, window.innerHeight) - Math.max(r.top, 0));
+    if (visible > bestVisible) {
+      best = renderedPageNumber(element, index);
+      bestVisible = visible;
+    }
+  });
+  if (best !== null) setCurrentRenderedPage(best);
+}
+
+// Screenshots only reach as far as the viewport, and a rendered page can be
+// taller: scroll the current page's shapes into view. Returns false if they
+// span more than the viewport's height, so some will be cut off.
+function scrollAnnotationsIntoView() {
+  const page = getReportCanvas();
+  const shapes = withVisualLayout(() => annotations.filter(isAnnotationShown).map(resolveAnnotationForLayout));
+  if (!page || shapes.length === 0) return true;
+  const top = Math.min(...shapes.map((a) => a.y)) - window.scrollY;
+  const bottom = Math.max(...shapes.map((a) => a.y + a.height)) - window.scrollY;
+  if (top >= 0 && bottom <= window.innerHeight) return true;
+
+  // Paginated reports usually scroll an inner element, not the window
+  let scroller = page.parentElement;
+  while (scroller && !(scroller.scrollHeight > scroller.clientHeight &&
+      /auto|scroll/.test(getComputedStyle(scroller).overflowY))) {
+    scroller = scroller.parentElement;
+  }
+  const margin = 16;
+  (scroller || document.scrollingElement).scrollBy(0, top - margin);
+  return bottom - top + margin <= window.innerHeight;
+}
+
+// A shape belongs to the rendered page it is drawn on
+function focusRenderedPageAt(clientX, clientY) {
+  getRenderedPages().forEach((element, index) => {
+    const r = element.getBoundingClientRect();
+    if (clientX >= r.left && clientX <= r.right && clientY >= r.top && clientY <= r.bottom) {
+      setCurrentRenderedPage(renderedPageNumber(element, index));
+    }
+  });
+}
+
+// Page titles in exports: dashboards are labelled as such
+function exportPageTitle(name, key) {
+  return window.PowerBIAnnotatorPageStore.isDashboardKey(key) ? `Dashboard: ${name}` : name;
+}
+
 // PageStore owns page identity, annotation persistence, and SPA navigation events.
 // Constructed at init() time with concrete adapters; see CONTEXT.md for the seam.
 let pageStore = null;
 
+// Undo/redo stacks per report; see history.js
+let commandHistory = null;
+
 // --- Custom Modal Helpers (Fix #8: replace blocking prompt/alert/confirm) ---
 
 /**
@@ -111,10 +306,12 @@ function showConfirm(message) {
 }
 
 /**
- * Show a text input modal (replaces prompt).
- * Returns a promise that resolves to the entered text, or null if cancelled.
+ * Show the new-comment modal (replaces prompt): comment text plus optional
+ * category, priority and comma-separated tags.
+ * Returns a promise that resolves to { comment, category, priority, tags },
+ * or null if cancelled or left empty.
  */
-function showPrompt(message) {
+function showCommentPrompt(message) {
   return new Promise((resolve) => {
     const overlay = document.createElement('div');
     overlay.className = 'pbi-modal-overlay';
@@ -122,6 +319,17 @@ function showPrompt(message) {
       <div class="pbi-modal">
         <div class="pbi-modal-body"></div>
         <textarea class="pbi-modal-input" placeholder="Enter your comment..."></textarea>
+        <div class="pbi-modal-fields">
+          <select class="pbi-modal-category" title="Category">
+            <option value="">No category</option>
+            ${ANNOTATION_CATEGORIES.map((c) => `<option value="${c.value}">${c.label}</option>`).join('')}
+          </select>
+          <select class="pbi-modal-priority" title="Priority">
+            <option value="">No priority</option>
+            ${ANNOTATION_PRIORITIES.map((p) => `<option value="${p}">${p}</option>`).join('')}
+          </select>
+          <input type="text" class="pbi-modal-tags" placeholder="Tags, comma separated">
+        </div>
         <div class="pbi-modal-actions">
           <button class="pbi-modal-btn pbi-modal-btn-cancel">Cancel</button>
           <button class="pbi-modal-btn pbi-modal-btn-primary">OK</button>
@@ -136,21 +344,81 @@ function showPrompt(message) {
     const cancelBtn = overlay.querySelector('.pbi-modal-btn-cancel');
     input.focus();
 
-    okBtn.addEventListener('click', () => {
-      const value = input.value;
+    const submit = () => {
+      const value = {
+        comment: input.value,
+        category: overlay.querySelector('.pbi-modal-category').value || null,
+        priority: overlay.querySelector('.pbi-modal-priority').value || null,
+        tags: parseTags(overlay.querySelector('.pbi-modal-tags').value),
+      };
       overlay.remove();
-      resolve(value || null);
-    });
+      resolve(value.comment ? value : null);
+    };
+    okBtn.addEventListener('click', submit);
     cancelBtn.addEventListener('click', () => {
       overlay.remove();
       resolve(null);
     });
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && e.ctrlKey) {
-        const value = input.value;
-        overlay.remove();
-        resolve(value || null);
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.ctrlKey) submit();
+    });
+  });
+}
+
+/**
+ * Show a comment with an Edit button (badge click popup).
+ * Returns a promise that resolves to the edited text, or null if closed
+ * without saving.
+ */
+function showCommentModal(message, text) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'pbi-modal-overlay';
+    overlay.innerHTML = `
+      <div class="pbi-modal">
+        <div class="pbi-modal-body"></div>
+        <div class="pbi-modal-body pbi-modal-comment"></div>
+        <textarea class="pbi-modal-input" style="display: none;"></textarea>
+        <div class="pbi-modal-actions">
+          <button class="pbi-modal-btn pbi-modal-btn-cancel" data-action="edit">Edit</button>
+          <button class="pbi-modal-btn pbi-modal-btn-primary" data-action="close">OK</button>
+        </div>
+      </div>
+    `;
+    overlay.querySelector('.pbi-modal-body').textContent = message;
+    overlay.querySelector('.pbi-modal-comment').textContent = text;
+    document.body.appendChild(overlay);
+
+    const commentEl = overlay.querySelector('.pbi-modal-comment');
+    const input = overlay.querySelector('.pbi-modal-input');
+    const leftBtn = overlay.querySelector('[data-action="edit"]');
+    const rightBtn = overlay.querySelector('[data-action="close"]');
+    let editing = false;
+    rightBtn.focus();
+
+    const finish = (value) => {
+      overlay.remove();
+      resolve(value);
+    };
+
+    leftBtn.addEventListener('click', () => {
+      if (editing) {
+        finish(null); // Cancel
+        return;
       }
+      editing = true;
+      commentEl.style.display = 'none';
+      input.style.display = '';
+      input.value = text;
+      leftBtn.textContent = 'Cancel';
+      rightBtn.textContent = 'Save';
+      input.focus();
+    });
+    rightBtn.addEventListener('click', () => {
+      finish(editing ? input.value : null);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.ctrlKey) finish(input.value);
     });
   });
 }
@@ -165,6 +433,92 @@ function generateAnnotationId() {
   return Date.now() * 100 + (annotationIdCounter++ % 100);
 }
 
+/**
+ * Redactions are stored alongside annotations but are not comments: they get
+ * no number, no sidebar comment entry and no row in the Excel export.
+ */
+function isRedaction(annotation) {
+  return annotation.kind === 'redaction';
+}
+
+function commentAnnotations(list) {
+  return list.filter((a) => !isRedaction(a));
+}
+
+// Optional labels chosen in the comment prompt. Color stays a visual choice.
+const ANNOTATION_CATEGORIES = [
+  { value: 'bug', label: 'Bug' },
+  { value: 'question', label: 'Question' },
+  { value: 'suggestion', label: 'Suggestion' },
+  { value: 'data-issue', label: 'Data issue' },
+];
+
+const ANNOTATION_PRIORITIES = ['P1', 'P2', 'P3'];
+
+function categoryLabel(category) {
+  const found = ANNOTATION_CATEGORIES.find((c) => c.value === category);
+  return found ? found.label : '';
+}
+
+// "finance, Q3 ,finance" → ['finance', 'Q3']
+function parseTags(text) {
+  const tags = (text || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+// "Bug · P1 · #finance #q3" for exports; '' when unlabelled
+function labelsText(annotation) {
+  const parts = [];
+  if (annotation.category) parts.push(categoryLabel(annotation.category));
+  if (annotation.priority) parts.push(annotation.priority);
+  if (annotation.tags && annotation.tags.length > 0) {
+    parts.push(annotation.tags.map((tag) => `#${tag}`).join(' '));
+  }
+  return parts.join(' \u00b7 ');
+}
+
+// Sidebar filter on those labels; '' matches everything
+let commentFilter = { category: '', priority: '', tag: '' };
+
+function matchesCommentFilter(annotation) {
+  if (commentFilter.category && annotation.category !== commentFilter.category) return false;
+  if (commentFilter.priority && annotation.priority !== commentFilter.priority) return false;
+  if (commentFilter.tag && !(annotation.tags || []).includes(commentFilter.tag)) return false;
+  return true;
+}
+
+// QA workflow status of a comment; annotations without one are open
+const ANNOTATION_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'in-progress', label: 'In progress' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'wont-fix', label: "Won't fix" },
+];
+
+const EXPORT_STATUS_FILTERS = {
+  all: () => true,
+  unresolved: (status) => status === 'open' || status === 'in-progress',
+  resolved: (status) => status === 'resolved' || status === 'wont-fix',
+};
+
+function statusOf(annotation) {
+  return annotation.status || 'open';
+}
+
+function statusLabel(status) {
+  const found = ANNOTATION_STATUSES.find((s) => s.value === status);
+  return found ? found.label : 'Open';
+}
+
+// Resolved and won't-fix comments are done: dimmed (or hidden) on the report
+function isDone(annotation) {
+  return EXPORT_STATUS_FILTERS.resolved(statusOf(annotation));
+}
+
+function includedInExport(comment) {
+  return (EXPORT_STATUS_FILTERS[exportStatusFilter] || EXPORT_STATUS_FILTERS.all)(comment.status);
+}
+
 /**
  * Get the global starting number for annotations on the current page.
  * Counts all annotations on pages that come before this page in report order.
@@ -196,7 +550,7 @@ function getGlobalStartNumber() {
  */
 function renumberAnnotations() {
   const globalStart = getGlobalStartNumber();
-  annotations.forEach((annotation, index) => {
+  commentAnnotations(annotations).forEach((annotation, index) => {
     const box = document.querySelector(`.pbi-annotation-box[data-id="${annotation.id}"]`);
     if (box) {
       const badge = box.querySelector('.pbi-annotation-number');
@@ -217,10 +571,13 @@ function allAnnotationsInViewport() {
   const viewLeft = window.scrollX;
   const viewRight = viewLeft + window.innerWidth;
 
-  return annotations.every(a => {
+  // Where each shape is drawn now, not where it was stored (the canvas, e.g.
+  // a paginated report's page, may have moved)
+  return withVisualLayout(() => annotations.every(annotation => {
+    const a = resolveAnnotationForLayout(annotation);
     return a.x >= viewLeft && a.x + a.width <= viewRight &&
            a.y >= viewTop && a.y + a.height <= viewBottom;
-  });
+  }));
 }
 
 // --- Main Extension Logic ---
@@ -237,31 +594,69 @@ window.addEventListener('message', function(event) {
   if (event.source !== window) return;
   if (!event.data || !event.data.type) return;
 
-  if (event.data.type === '__pbi_annotator_page_info__') {
+  // Which embed the message is about (always 0 with a single embed)
+  const embedIndex = event.data.embedIndex || 0;
+  const isActiveEmbed = embedIndex === activeEmbedIndex;
+
+  // Active page identity: on request, and on the report's pageChanged event
+  if (event.data.type === '__pbi_annotator_page_info__' ||
+      event.data.type === '__pbi_annotator_page_changed__') {
     const { displayName, name, url } = event.data;
     if (displayName && url) {
-      pageNameCache[url] = displayName;
-      chrome.storage.local.set({ pageNameCache });
-      currentEmbedPage = { name: name || null, displayName };
-      // In App view the URL doesn't change between pages, so getPageKey() only
-      // changes once this embed identity updates — poke the navigation watcher.
-      const currentKey = getPageKey();
-      if (currentKey !== lastPageKey) {
-        onPageChanged(lastPageKey, currentKey);
+      embedEventsAvailable = true;
+      embedCount = event.data.embedCount || 1;
+      const state = embedStateFor(embedIndex);
+      state.reportId = event.data.reportId || null;
+      state.page = { name: name || null, displayName };
+      requestEmbedVisuals(embedIndex);
+      if (isActiveEmbed) {
+        // pageNameCache is keyed by the host URL, which embeds share
+        if (!isMultiEmbed()) {
+          pageNameCache[url] = displayName;
+          chrome.storage.local.set({ pageNameCache });
+        }
+        syncActiveEmbed();
+        // In App view the URL doesn't change between pages, so getPageKey() only
+        // changes once this embed identity updates.
+        pageStore.checkPageChange();
       }
       renderPageList();
     }
   }
 
+  if (event.data.type === '__pbi_annotator_loaded__') {
+    embedEventsAvailable = true;
+  }
+
+  if (event.data.type === '__pbi_annotator_rendered__') {
+    embedEventsAvailable = true;
+    if (isActiveEmbed) pageStore.pageRendered();
+  }
+
+  if (event.data.type === '__pbi_annotator_pages__') {
+    embedStateFor(embedIndex).pages = (event.data.pages || [])
+      .filter((page) => page && page.name)
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+    if (isActiveEmbed) syncActiveEmbed();
+    renderPageList();
+  }
+
+  if (event.data.type === '__pbi_annotator_visuals__') {
+    const { pageName, pageSize, visuals } = event.data;
+    embedStateFor(embedIndex).visuals = { pageName: pageName || null, pageSize: pageSize || null, visuals: visuals || [] };
+    if (isActiveEmbed) {
+      syncActiveEmbed();
+      // Visual-anchored annotations may have been placed by DOM order until now
+      repositionAllAnnotations();
+    }
+  }
+
   // Handle navigation change from page-world pushState/replaceState override
   if (event.data.type === '__pbi_annotator_navigation__') {
     // Ask the embed API for the fresh active page — in App view this is the
     // only signal that the page changed (the URL may be static).
     requestEmbedPageInfo();
-    const currentKey = getPageKey();
-    if (currentKey !== lastPageKey) {
-      onPageChanged(lastPageKey, currentKey);
-    }
+    pageStore.checkPageChange();
   }
 });
 
@@ -270,27 +665,182 @@ function requestEmbedPageInfo() {
   window.postMessage({ type: '__pbi_annotator_request_page_info__' }, '*');
 }
 
+// Embed API page a page key refers to: the section id in workspace keys
+// (reportId#ReportSection…) or the App view key's trailing page name. With
+// several embeds the key's report id picks the embed. The result carries the
+// page's embedIndex.
+function embedPageForKey(key) {
+  if (!key) return null;
+  const sectionHash = key.split('#')[1] || null;
+  const keyReportId = sectionHash ? key.split('#')[0] : null;
+  const lastSegment = key.split('?')[0].split('/').pop();
+  for (const index of Object.keys(embedStates)) {
+    const state = embedStates[index];
+    if (isMultiEmbed() && state.reportId && state.reportId !== keyReportId) continue;
+    const page = state.pages.find((p) => p.name === sectionHash || p.name === lastSegment);
+    if (page) return Object.assign({ embedIndex: Number(index) }, page);
+  }
+  return null;
+}
+
+// Ask the page-world script for the active page's visuals (names + layouts).
+function requestEmbedVisuals(embedIndex) {
+  window.postMessage({ type: '__pbi_annotator_request_visuals__', embedIndex }, '*');
+}
+
+let pageScriptRequestCounter = 0;
+
+// Send a request to the page-world script and resolve with its reply, or with
+// null if none arrives in time (page script not injected, API not loaded).
+// `target` is another window to ask instead, e.g. a report frame.
+function pageScriptRequest(type, payload, replyType, timeoutMs, target = window) {
+  const requestId = ++pageScriptRequestCounter;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onReply);
+      resolve(null);
+    }, timeoutMs);
+    function onReply(event) {
+      if (event.source !== target || !event.data) return;
+      if (event.data.type !== replyType || event.data.requestId !== requestId) return;
+      clearTimeout(timer);
+      window.removeEventListener('message', onReply);
+      resolve(event.data);
+    }
+    window.addEventListener('message', onReply);
+    target.postMessage(Object.assign({ type, requestId }, payload), '*');
+  });
+}
+
+// Current filter/slicer state: { bookmark, filters } where `bookmark` is an
+// embed API bookmark state and `filters` readable lines. Null without the API.
+async function captureViewState() {
+  const reply = await pageScriptRequest(
+    '__pbi_annotator_request_view_state__', { embedIndex: activeEmbedIndex },
+    '__pbi_annotator_view_state__', 2000);
+  return reply ? reply.state : null;
+}
+
+// Re-apply a captured bookmark state; resolves true once Power BI accepted it
+async function applyViewState(viewState) {
+  if (!viewState || !viewState.bookmark) return false;
+  const reply = await pageScriptRequest(
+    '__pbi_annotator_apply_view_state__', { state: viewState.bookmark, embedIndex: activeEmbedIndex },
+    '__pbi_annotator_view_state_applied__', 5000);
+  return !!(reply && reply.ok);
+}
+
+// --- Embedded report frames ---
+
+// Top window of a host page: the first report frame to report starts the
+// annotator; later reports move the canvas proxy and may change the page key.
+function onReportFrameMessage(event) {
+  if (!event.data || event.data.type !== '__pbi_annotator_frame_state__') return;
+  if (!window.PowerBIAnnotatorReportDom.isPowerBIOrigin(event.origin)) return;
+  const iframe = Array.from(document.querySelectorAll('iframe'))
+    .find((frame) => frame.contentWindow === event.source);
+  if (!iframe) return;
+
+  const { location, pageName, canvas } = event.data;
+  const state = { iframe, location, pageName, canvas };
+  reportFrames.set(iframe, state);
+  if (!reportFrame || reportFrame.iframe === iframe) reportFrame = state;
+  if (!pageStore) {
+    init();
+    return;
+  }
+  if (reportFrame === state) {
+    repositionAllAnnotations();
+    pageStore.checkPageChange();
+  }
+}
+
+// Make another report frame the one annotations go to (host pages with several)
+function setActiveReportFrame(iframe) {
+  const state = reportFrames.get(iframe);
+  if (!state || state === reportFrame) return;
+  reportFrame = state;
+  pageStore.checkPageChange();
+  pageStore.pageRendered();
+}
+
+// Element over the active report frame's canvas, positioned in this document,
+// so coordinate mapping, resize observing and cropping work as on Power BI
+function frameCanvasElement() {
+  if (!reportFrame.canvas || !reportFrame.iframe.isConnected) return null;
+  if (!frameCanvasProxy) {
+    frameCanvasProxy = document.createElement('div');
+    frameCanvasProxy.className = 'pbi-frame-canvas';
+    document.body.appendChild(frameCanvasProxy);
+  }
+  const frameRect = reportFrame.iframe.getBoundingClientRect();
+  const { canvas } = reportFrame;
+  Object.assign(frameCanvasProxy.style, {
+    left: `${window.scrollX + frameRect.left + reportFrame.iframe.clientLeft + canvas.left}px`,
+    top: `${window.scrollY + frameRect.top + reportFrame.iframe.clientTop + canvas.top}px`,
+    width: `${canvas.width}px`,
+    height: `${canvas.height}px`,
+  });
+  return frameCanvasProxy;
+}
+
+// The URL identifying the report: the report frame's own on host pages
+function reportLocation() {
+  return reportFrame ? reportFrame.location : window.location;
+}
+
 // Initialize the extension
 function init() {
   pageStore = window.PowerBIAnnotatorPageStore.createPageStore({
     storage: chrome.storage.local,
     locationProvider: () => {
+      // Several embeds on the page: the active embed's report and page
+      const activeReportId = embedStateFor(activeEmbedIndex).reportId;
+      if (isMultiEmbed() && activeReportId && currentEmbedPage.name) {
+        return {
+          pathname: window.location.pathname,
+          search: window.location.search,
+          embed: { reportId: activeReportId, pageName: currentEmbedPage.name },
+        };
+      }
+      // Report in an iframe on a host page: the frame's report, and the embed
+      // API page if the host page uses it, else the page the frame shows
+      if (reportFrame) {
+        const pageName = currentEmbedPage.name || reportFrame.pageName;
+        return {
+          pathname: reportFrame.location.pathname,
+          search: reportFrame.location.search,
+          embed: pageName ? { reportId: getReportId(), pageName } : null,
+        };
+      }
       let pathname = window.location.pathname;
       // App view keeps the URL static across pages; splice in the embed API's
       // stable section id so each app page derives a distinct, stable key.
       if (isAppView() && currentEmbedPage.name && !/\/ReportSection/.test(pathname)) {
         pathname = pathname.replace(/\/?$/, '/') + currentEmbedPage.name;
       }
-      return { pathname, search: window.location.search };
+      return {
+        pathname,
+        search: window.location.search,
+        renderedPage: isPaginatedView() ? currentRenderedPage : null,
+      };
     },
     displayNameResolver: () => getPageName(),
     pageOrderResolver: () => getReportPageOrder(),
   });
+  // Page changes and renders arrive as events (pushState hook, embed API);
+  // the store compares keys and calls back only on a real change.
+  pageStore.onPageChange((page) => {
+    if (page.key !== lastPageKey) onPageChanged(lastPageKey, page.key);
+  });
+  pageStore.onPageRendered(onPageRendered);
+  commandHistory = window.PowerBIAnnotatorHistory.createCommandHistory();
 
   createSidebar();
   loadAnnotations();
   loadScreenshotCache();
   loadPageNameCache();
+  loadAuthorIdentity();
   setupEventListeners();
   lastPageKey = getPageKey();
   lastReportId = getReportId();
@@ -326,54 +876,13 @@ function watchCanvasLayout() {
   window.addEventListener('resize', repositionAllAnnotations);
 }
 
-// Poll for URL changes to detect SPA navigation (Power BI changes URL without page reload)
+// Browser back/forward and fragment changes. PBI's own pushState /
+// replaceState calls happen in the page world and arrive as
+// '__pbi_annotator_navigation__' messages from the page script (an override
+// here, in the isolated world, never sees them).
 function startNavigationWatcher() {
-  // Poll for URL changes (backup method)
-  setInterval(() => {
-    const currentKey = getPageKey();
-    if (currentKey !== lastPageKey) {
-      onPageChanged(lastPageKey, currentKey);
-    }
-  }, 300); // Reduced from 500ms to 300ms for faster detection
-
-  // Also listen for browser navigation events
-  window.addEventListener('popstate', () => {
-    const currentKey = getPageKey();
-    if (currentKey !== lastPageKey) {
-      onPageChanged(lastPageKey, currentKey);
-    }
-  });
-
-  window.addEventListener('hashchange', () => {
-    const currentKey = getPageKey();
-    if (currentKey !== lastPageKey) {
-      onPageChanged(lastPageKey, currentKey);
-    }
-  });
-
-  // Listen for pushState/replaceState (Power BI uses these for SPA navigation)
-  const originalPushState = history.pushState;
-  const originalReplaceState = history.replaceState;
-
-  history.pushState = function(...args) {
-    originalPushState.apply(this, args);
-    setTimeout(() => {
-      const currentKey = getPageKey();
-      if (currentKey !== lastPageKey) {
-        onPageChanged(lastPageKey, currentKey);
-      }
-    }, 100);
-  };
-
-  history.replaceState = function(...args) {
-    originalReplaceState.apply(this, args);
-    setTimeout(() => {
-      const currentKey = getPageKey();
-      if (currentKey !== lastPageKey) {
-        onPageChanged(lastPageKey, currentKey);
-      }
-    }, 100);
-  };
+  window.addEventListener('popstate', () => pageStore.checkPageChange());
+  window.addEventListener('hashchange', () => pageStore.checkPageChange());
 }
 
 // Handle SPA page navigation: save current state, clear DOM, load new page's annotations
@@ -393,6 +902,7 @@ function onPageChanged(oldKey, newKey) {
   }
   
   lastReportId = currentReportId;
+  clearSelection();
   
   // Immediately clear all annotation boxes from DOM (defensive - do this first)
   document.querySelectorAll('.pbi-annotation-box').forEach(box => box.remove());
@@ -419,28 +929,37 @@ function onPageChanged(oldKey, newKey) {
     annotations = [];
   }
 
-  // Power BI may still be re-laying-out the canvas right after nav; render
-  // once now and again after the settle timeout below re-runs reposition.
+  lastPageKey = newKey;
+  awaitingRenderKey = newKey;
+  renderComments();
+  renderPageList();
+
+  // With the embed API, draw once Power BI reports the new page rendered:
+  // drawing now would place the shapes over the outgoing page's canvas.
+  // Rendered pages of a paginated report are all on screen already, and
+  // dashboards have no embed API report to say so (a report visited earlier
+  // in the session leaves embedEventsAvailable set).
+  if (!embedEventsAvailable || isPaginatedView() || isDashboardView()) pageStore.pageRendered();
+}
+
+// A page finished rendering (embed API 'rendered', or right after a page
+// change when there is no embed API). Renders also follow filter changes and
+// visual interactions, so the once-per-page work is keyed on awaitingRenderKey.
+function onPageRendered(page) {
+  if (currentAnnotation) return; // don't wipe a shape being drawn
   if (migrateLoadedAnnotations()) {
     pageStore.saveAnnotations(annotations);
   }
   renderAnnotationsForCurrentPage();
+  // The canvas element can be replaced by PBI on page switch; re-observe the fresh node.
+  watchCanvasLayout();
 
-  lastPageKey = newKey;
-
-  // Wait for Power BI to update the DOM before getting the page name
-  // Power BI updates the page title/navigation after URL change, not instantly
-  setTimeout(() => {
-    repositionAllAnnotations();
-    renderComments();
-    renderPageList();
-    // The canvas element can be replaced by PBI on page switch; re-observe the fresh node.
-    watchCanvasLayout();
-    // Cache screenshot after annotations are rendered on the new page
-    if (annotations.length > 0) {
-      setTimeout(() => cacheCurrentScreenshot(newKey), 600);
-    }
-  }, 400); // Give Power BI 400ms to update the DOM
+  if (awaitingRenderKey !== page.key) return;
+  awaitingRenderKey = null;
+  renderComments();
+  renderPageList();
+  // Cache screenshot now that annotations are rendered on the new page
+  if (annotations.length > 0) cacheCurrentScreenshot(page.key);
 }
 
 // Request a silent screenshot from the background script (uses host_permissions, no user gesture needed)
@@ -548,6 +1067,7 @@ function createSidebar() {
   sidebar.innerHTML = `
     <div class="pbi-sidebar-header">
       <h3>Power BI Annotator<span id="pbi-total-count" class="pbi-count-badge"></span></h3>
+      <button id="pbi-author-btn" class="pbi-author-btn"></button>
       <button id="pbi-close-sidebar" class="pbi-btn-close">\u00d7</button>
     </div>
     <div class="pbi-sidebar-controls">
@@ -557,6 +1077,9 @@ function createSidebar() {
       </button>
       <div id="pbi-drawing-toolbar" class="pbi-drawing-toolbar" style="display: none;">
         <div class="pbi-tool-label">Drawing Tool:</div>
+        <button class="pbi-tool-btn" data-tool="select" title="Select, move and resize">
+          <svg width="20" height="20" viewBox="0 0 20 20"><path d="M4 2 L4 16 L8 12 L11 18 L13 17 L10 11 L15 11 Z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>
+        </button>
         <button class="pbi-tool-btn active" data-tool="rectangle" title="Rectangle">
           <svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="5" width="16" height="10" fill="none" stroke="currentColor" stroke-width="2"/></svg>
         </button>
@@ -572,6 +1095,84 @@ function createSidebar() {
         <button class="pbi-tool-btn" data-tool="freehand" title="Freehand">
           <svg width="20" height="20" viewBox="0 0 20 20"><path d="M2 15 Q 5 5, 10 10 T 18 8" fill="none" stroke="currentColor" stroke-width="2"/></svg>
         </button>
+        <button class="pbi-tool-btn" data-tool="polygon" title="Polygon (click each corner; double-click or Enter to close)">
+          <svg width="20" height="20" viewBox="0 0 20 20"><polygon points="3,15 6,4 14,3 17,11 11,17" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="polyline" title="Polyline (click each point; double-click or Enter to finish)">
+          <svg width="20" height="20" viewBox="0 0 20 20"><polyline points="2,16 7,6 12,13 18,4" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="pin" title="Pin (click a data point)">
+          <svg width="20" height="20" viewBox="0 0 20 20"><path d="M10 18 L5.5 11 A6 6 0 1 1 14.5 11 Z" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/><circle cx="10" cy="7.5" r="2" fill="currentColor"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="text" title="Text label">
+          <svg width="20" height="20" viewBox="0 0 20 20"><path d="M4 4 H16 M10 4 V17 M7 17 H13" fill="none" stroke="currentColor" stroke-width="2"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="area" title="Translucent area">
+          <svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="5" width="16" height="10" fill="currentColor" fill-opacity="0.35"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="highlighter" title="Highlighter">
+          <svg width="20" height="20" viewBox="0 0 20 20"><path d="M3 12 L17 8" fill="none" stroke="currentColor" stroke-opacity="0.45" stroke-width="6" stroke-linecap="round"/></svg>
+        </button>
+        <button class="pbi-tool-btn" data-tool="redact" title="Redact (masked in exports)">
+          <svg width="20" height="20" viewBox="0 0 20 20"><rect x="2" y="5" width="16" height="10" fill="none" stroke="currentColor" stroke-width="2" stroke-dasharray="3 2"/><path d="M5 15 L11 5 M9 15 L15 5" stroke="currentColor" stroke-width="1.5"/></svg>
+        </button>
+        <div class="pbi-tool-options" data-for-tool="rectangle arrow line circle freehand polygon polyline">
+          <label>Width
+            <select id="pbi-stroke-width">
+              <option value="2">2</option>
+              <option value="3" selected>3</option>
+              <option value="5">5</option>
+              <option value="8">8</option>
+            </select>
+          </label>
+          <label>Style
+            <select id="pbi-stroke-dash">
+              <option value="solid" selected>Solid</option>
+              <option value="dashed">Dashed</option>
+              <option value="dotted">Dotted</option>
+            </select>
+          </label>
+          <label class="pbi-arrowheads-option" style="display: none;">Heads
+            <select id="pbi-arrowheads">
+              <option value="none">None</option>
+              <option value="start">Start</option>
+              <option value="end" selected>End</option>
+              <option value="both">Both</option>
+            </select>
+          </label>
+        </div>
+        <div class="pbi-tool-options" data-for-tool="text" style="display: none;">
+          <label>Size
+            <select id="pbi-font-size">
+              <option value="12">12</option>
+              <option value="14" selected>14</option>
+              <option value="18">18</option>
+              <option value="24">24</option>
+              <option value="32">32</option>
+            </select>
+          </label>
+          <label>Background
+            <select id="pbi-text-background">
+              <option value="white" selected>White</option>
+              <option value="solid">Color</option>
+              <option value="none">None</option>
+            </select>
+          </label>
+        </div>
+        <div class="pbi-tool-options" data-for-tool="area highlighter" style="display: none;">
+          <label>Opacity
+            <input type="range" id="pbi-opacity" min="10" max="90" step="5" value="35">
+          </label>
+          <span id="pbi-opacity-value">35%</span>
+        </div>
+        <div class="pbi-tool-options" data-for-tool="redact" style="display: none;">
+          <label>In exports
+            <select id="pbi-redact-style">
+              <option value="pixelate" selected>Pixelate</option>
+              <option value="blackout">Black out</option>
+            </select>
+          </label>
+        </div>
         <div class="pbi-swatch-row">
           <button class="pbi-swatch active" data-color="#0078d4" style="background:#0078d4" title="Blue"></button>
           <button class="pbi-swatch" data-color="#e81123" style="background:#e81123" title="Red"></button>
@@ -581,6 +1182,16 @@ function createSidebar() {
           <input type="color" id="pbi-color-picker" value="#0078d4" title="Custom color">
         </div>
       </div>
+      <div class="pbi-tool-options pbi-status-options">
+        <label><input type="checkbox" id="pbi-show-resolved" checked> Show resolved</label>
+        <label>Export
+          <select id="pbi-export-status">
+            <option value="all" selected>All statuses</option>
+            <option value="unresolved">Open / in progress</option>
+            <option value="resolved">Resolved / won't fix</option>
+          </select>
+        </label>
+      </div>
       <div class="pbi-button-row">
         <button id="pbi-export-pages" class="pbi-btn pbi-btn-primary">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
@@ -610,6 +1221,19 @@ function createSidebar() {
       </div>
       <div class="pbi-page-list" id="pbi-page-list" style="display: none;"></div>
     </div>
+    <div class="pbi-comment-filters">
+      <select id="pbi-filter-category" title="Filter by category">
+        <option value="">All categories</option>
+        ${ANNOTATION_CATEGORIES.map((c) => `<option value="${c.value}">${c.label}</option>`).join('')}
+      </select>
+      <select id="pbi-filter-priority" title="Filter by priority">
+        <option value="">All priorities</option>
+        ${ANNOTATION_PRIORITIES.map((p) => `<option value="${p}">${p}</option>`).join('')}
+      </select>
+      <select id="pbi-filter-tag" title="Filter by tag">
+        <option value="">All tags</option>
+      </select>
+    </div>
     <div class="pbi-sidebar-content" id="pbi-comments-list">
       <div class="pbi-empty-state">
         <p><strong>No annotations yet</strong></p>
@@ -683,6 +1307,28 @@ function createSidebar() {
 
 // Setup event listeners
 function setupEventListeners() {
+  // Clicking into an embed's iframe moves focus there (the click itself never
+  // reaches this document): follow it to that embed
+  window.addEventListener("blur", () => {
+    const focused = document.activeElement;
+    if (!focused || focused.tagName !== 'IFRAME') return;
+    const container = focused.closest('[data-pbi-annotator-embed]');
+    if (container && isMultiEmbed()) setActiveEmbed(Number(container.dataset.pbiAnnotatorEmbed));
+    if (reportFrames.has(focused)) setActiveReportFrame(focused);
+  });
+
+  // Host pages (SharePoint) and paginated reports often scroll an inner
+  // element rather than the window; the frame canvas proxy and the rendered
+  // page in view have to follow either
+  document.addEventListener("scroll", () => {
+    if (isPaginatedView()) updateCurrentRenderedPage();
+    if (reportFrame || isPaginatedView()) repositionAllAnnotations();
+  }, true);
+
+  // A deep link pasted into a tab that already has the report open only
+  // changes the fragment
+  window.addEventListener("hashchange", openDeepLink);
+
   // Toggle sidebar (skip if user just finished dragging the button)
   const toggleBtnEl = document.getElementById("pbi-toggle-btn");
   toggleBtnEl.addEventListener("click", (e) => {
@@ -741,6 +1387,70 @@ function setupEventListeners() {
     document.querySelectorAll('.pbi-swatch').forEach((s) => s.classList.remove('active'));
   });
 
+  // Stroke options
+  document.getElementById("pbi-stroke-width").addEventListener("change", (e) => {
+    currentStrokeWidth = parseInt(e.target.value, 10);
+  });
+  document.getElementById("pbi-stroke-dash").addEventListener("change", (e) => {
+    currentDash = e.target.value;
+  });
+  document.getElementById("pbi-arrowheads").addEventListener("change", (e) => {
+    if (currentArrowheads[currentDrawingTool]) currentArrowheads[currentDrawingTool] = e.target.value;
+  });
+
+  // Text tool options
+  document.getElementById("pbi-font-size").addEventListener("change", (e) => {
+    currentFontSize = parseInt(e.target.value, 10);
+  });
+  document.getElementById("pbi-text-background").addEventListener("change", (e) => {
+    currentTextBackground = e.target.value;
+  });
+
+  // Area / highlighter opacity
+  document.getElementById("pbi-opacity").addEventListener("input", (e) => {
+    currentOpacity = parseInt(e.target.value, 10) / 100;
+    document.getElementById("pbi-opacity-value").textContent = e.target.value + '%';
+  });
+
+  // Redaction style
+  document.getElementById("pbi-redact-style").addEventListener("change", (e) => {
+    currentRedactStyle = e.target.value;
+  });
+
+  // The identity is edited on the extension's settings page
+  document.getElementById("pbi-author-btn").addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: 'openOptions' }, () => { void chrome.runtime.lastError; });
+  });
+
+  // Sidebar comment filters
+  ['category', 'priority', 'tag'].forEach((field) => {
+    document.getElementById(`pbi-filter-${field}`).addEventListener("change", (e) => {
+      commentFilter = Object.assign({}, commentFilter, { [field]: e.target.value });
+      renderComments();
+    });
+  });
+
+  // Status display and export filter, remembered across sessions
+  const showResolvedEl = document.getElementById("pbi-show-resolved");
+  const exportStatusEl = document.getElementById("pbi-export-status");
+  chrome.storage.local.get(['showResolved', 'exportStatusFilter'], (result) => {
+    if (chrome.runtime.lastError) return;
+    if (result.showResolved != null) showResolved = result.showResolved;
+    if (result.exportStatusFilter) exportStatusFilter = result.exportStatusFilter;
+    showResolvedEl.checked = showResolved;
+    exportStatusEl.value = exportStatusFilter;
+    renderAnnotationsForCurrentPage();
+  });
+  showResolvedEl.addEventListener("change", (e) => {
+    showResolved = e.target.checked;
+    chrome.storage.local.set({ showResolved });
+    renderAnnotationsForCurrentPage();
+  });
+  exportStatusEl.addEventListener("change", (e) => {
+    exportStatusFilter = e.target.value;
+    chrome.storage.local.set({ exportStatusFilter });
+  });
+
   // Page list toggle
   document.getElementById("pbi-page-header").addEventListener("click", () => {
     const pageList = document.getElementById("pbi-page-list");
@@ -754,6 +1464,27 @@ function setupEventListeners() {
   document.addEventListener("mousemove", handleMouseMove);
   document.addEventListener("mouseup", handleMouseUp);
 
+  // Escape drops the current selection or an unfinished polygon;
+  // Enter finishes the polygon / polyline being drawn
+  document.addEventListener("keydown", (e) => {
+    if (e.key === 'Escape' && vertexPoints.length > 0) cancelVertexShape();
+    else if (e.key === 'Escape' && selectedAnnotationId !== null) clearSelection();
+    if (e.key === 'Enter' && vertexPoints.length > 0 && !e.target.closest('.pbi-modal-overlay')) {
+      e.preventDefault();
+      finishVertexShape();
+    }
+  });
+
+  // Double-click closes a polygon / finishes a polyline
+  document.addEventListener("dblclick", (e) => {
+    if (vertexPoints.length === 0) return;
+    e.preventDefault();
+    finishVertexShape();
+  });
+
+  // Undo / redo (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+  document.addEventListener("keydown", handleHistoryShortcut);
+
   // Prevent sidebar clicks from triggering annotations
   document
     .getElementById("pbi-annotator-sidebar")
@@ -765,6 +1496,7 @@ function setupEventListeners() {
 // Toggle sidebar visibility
 function toggleSidebar() {
   const sidebar = document.getElementById("pbi-annotator-sidebar");
+  if (!sidebar) return; // Host page without a report frame yet
   sidebarOpen = !sidebarOpen;
 
   if (sidebarOpen) {
@@ -789,7 +1521,7 @@ function toggleAnnotationMode() {
     if (label) label.textContent = "Stop annotating";
     btn.classList.add("active");
     toolbar.style.display = "flex";
-    document.body.style.cursor = "crosshair";
+    document.body.style.cursor = currentDrawingTool === 'select' ? "default" : "crosshair";
     // Hide sidebar so it doesn't obstruct the annotation area
     const sidebar = document.getElementById("pbi-annotator-sidebar");
     if (sidebar && sidebarOpen) {
@@ -801,7 +1533,10 @@ function toggleAnnotationMode() {
     btn.classList.remove("active");
     toolbar.style.display = "none";
     document.body.style.cursor = "default";
+    clearSelection();
+    cancelVertexShape();
   }
+  document.body.classList.toggle("pbi-selecting", isAnnotationMode && currentDrawingTool === 'select');
 }
 
 // Select drawing tool
@@ -813,6 +1548,22 @@ function selectDrawingTool(tool) {
     btn.classList.remove("active");
   });
   document.querySelector(`[data-tool="${tool}"]`).classList.add("active");
+
+  // Show only the option rows that belong to this tool
+  document.querySelectorAll(".pbi-tool-options").forEach((el) => {
+    el.style.display = el.dataset.forTool.split(' ').includes(tool) ? "flex" : "none";
+  });
+  const hasHeads = !!currentArrowheads[tool];
+  document.querySelector(".pbi-arrowheads-option").style.display = hasHeads ? "" : "none";
+  if (hasHeads) document.getElementById("pbi-arrowheads").value = currentArrowheads[tool];
+
+  // The select tool re-enables pointer events on existing boxes (see CSS)
+  document.body.classList.toggle("pbi-selecting", tool === 'select');
+  if (isAnnotationMode) {
+    document.body.style.cursor = tool === 'select' ? "default" : "crosshair";
+  }
+  if (tool !== 'select') clearSelection();
+  cancelVertexShape();
 }
 
 // Handle mouse down - start drawing annotation
@@ -821,6 +1572,19 @@ function handleMouseDown(e) {
   if (e.target.closest("#pbi-annotator-sidebar")) return;
   if (e.target.closest("#pbi-drawing-toolbar")) return;
   if (e.target.closest(".pbi-modal-overlay")) return;
+
+  // Several embeds: a shape belongs to the embed it is drawn over
+  if (isMultiEmbed() && vertexPoints.length === 0 && !e.target.closest('.pbi-annotation-box')) {
+    focusEmbedAt(e.clientX, e.clientY);
+  }
+  if (isPaginatedView() && vertexPoints.length === 0 && !e.target.closest('.pbi-annotation-box')) {
+    focusRenderedPageAt(e.clientX, e.clientY);
+  }
+
+  if (currentDrawingTool === 'select') {
+    handleSelectionMouseDown(e);
+    return;
+  }
   
   // Allow clicking on Power BI navigation and UI controls without creating annotations
   if (e.target.closest('button[role="tab"]')) return; // Page navigation tabs
@@ -834,6 +1598,11 @@ function handleMouseDown(e) {
   if (e.target.closest('[class*="slicer"]')) return; // Slicers
   if (e.target.closest('[class*="filter"]')) return; // Filters
 
+  if (window.PowerBIAnnotatorTools.isVertexTool(currentDrawingTool)) {
+    addVertex(e);
+    return;
+  }
+
   startX = e.pageX;
   startY = e.pageY;
 
@@ -843,8 +1612,20 @@ function handleMouseDown(e) {
   currentAnnotation.style.left = startX + "px";
   currentAnnotation.style.top = startY + "px";
   currentAnnotation.style.borderColor = currentColor;
+  if (window.PowerBIAnnotatorTools.isStrokeTool(currentDrawingTool)) {
+    currentAnnotation.style.borderWidth = currentStrokeWidth + "px";
+  }
 
-  if (currentDrawingTool === 'freehand') {
+  if (currentDrawingTool === 'pin') {
+    // Single click: the marker appears at once and the drag is ignored
+    const box = window.PowerBIAnnotatorTools.pinBox({ x: startX, y: startY });
+    currentAnnotation.dataset.tool = 'pin';
+    currentAnnotation.style.left = box.x + "px";
+    currentAnnotation.style.top = box.y + "px";
+    currentAnnotation.style.width = box.width + "px";
+    currentAnnotation.style.height = box.height + "px";
+    updateAnnotationVisual(currentAnnotation, box);
+  } else if (window.PowerBIAnnotatorTools.isPathTool(currentDrawingTool)) {
     freehandPoints = [{ x: startX, y: startY }];
   } else {
     currentAnnotation.style.width = "0px";
@@ -856,10 +1637,20 @@ function handleMouseDown(e) {
 
 // Handle mouse move - resize annotation
 function handleMouseMove(e) {
+  if (selectionDrag) {
+    handleSelectionMouseMove(e);
+    return;
+  }
   if (!currentAnnotation) return;
+  if (currentDrawingTool === 'pin') return;
+  if (vertexPoints.length > 0) {
+    updateVertexPreview({ x: e.pageX, y: e.pageY });
+    return;
+  }
   const Tools = window.PowerBIAnnotatorTools;
+  const isPath = Tools.isPathTool(currentDrawingTool);
 
-  if (currentDrawingTool === 'freehand') {
+  if (isPath) {
     freehandPoints.push({ x: e.pageX, y: e.pageY });
   }
 
@@ -867,7 +1658,7 @@ function handleMouseMove(e) {
     currentDrawingTool,
     { x: startX, y: startY },
     { x: e.pageX, y: e.pageY },
-    currentDrawingTool === 'freehand' ? freehandPoints : null
+    isPath ? freehandPoints : null
   );
 
   currentAnnotation.style.left = geometry.x + 'px';
@@ -885,14 +1676,51 @@ function updateAnnotationVisual(element, geometry) {
   const tool = window.PowerBIAnnotatorTools[currentDrawingTool];
   if (!tool) return;
 
-  const svg = tool.render(geometry, currentColor);
+  const svg = tool.render(geometry, currentColor, renderStyleOf(currentToolStyle(currentDrawingTool)));
   if (svg) element.appendChild(svg);
 }
 
+// Per-tool style fields saved on a new annotation next to `color`
+function currentToolStyle(toolName) {
+  if (window.PowerBIAnnotatorTools.isStrokeTool(toolName)) {
+    const style = { strokeWidth: currentStrokeWidth, dash: currentDash };
+    if (currentArrowheads[toolName]) style.arrowheads = currentArrowheads[toolName];
+    return style;
+  }
+  if (toolName === 'text') {
+    return { fontSize: currentFontSize, textBackground: currentTextBackground };
+  }
+  if (toolName === 'area' || toolName === 'highlighter') {
+    return { opacity: currentOpacity };
+  }
+  if (toolName === 'redact') {
+    return { kind: 'redaction', redactStyle: currentRedactStyle };
+  }
+  return {};
+}
+
+// Stored annotation fields → the `style` argument of a tool's render()
+function renderStyleOf(annotation) {
+  return {
+    text: annotation.comment,
+    fontSize: annotation.fontSize,
+    background: annotation.textBackground,
+    opacity: annotation.opacity,
+    strokeWidth: annotation.strokeWidth,
+    dash: annotation.dash,
+    arrowheads: annotation.arrowheads,
+  };
+}
+
 // Handle mouse up - finish annotation and prompt for comment
 // [Fix #1, #2, #8, #11] - async for custom prompt, stores direction, uses appendChild, unique IDs
 async function handleMouseUp(e) {
+  if (selectionDrag) {
+    handleSelectionMouseUp();
+    return;
+  }
   if (!currentAnnotation) return;
+  if (vertexPoints.length > 0) return; // vertex shapes finish on double-click / Enter
 
   // Capture references before clearing (prevents interference during async prompt)
   const finishedAnnotation = currentAnnotation;
@@ -902,69 +1730,150 @@ async function handleMouseUp(e) {
   const drawEndY = e.pageY;
   const toolUsed = currentDrawingTool;
   const colorUsed = currentColor;
-  const capturedFreehandPoints = currentDrawingTool === 'freehand' ? [...freehandPoints] : null;
+  const styleUsed = currentToolStyle(currentDrawingTool);
+  const isPath = window.PowerBIAnnotatorTools.isPathTool(currentDrawingTool);
+  // Only the points that shape the stroke are stored (and re-rendered on load)
+  const capturedFreehandPoints = isPath ? window.PowerBIAnnotatorTools.simplifyPath(freehandPoints) : null;
   currentAnnotation = null;
 
   const rect = finishedAnnotation.getBoundingClientRect();
+  const isPin = toolUsed === 'pin';
+
+  // Ignore very small annotations (accidental clicks). A path only needs to
+  // be long in one direction: a highlighter pass along a table row is flat.
+  // A pin is meant to be a click.
+  const tooSmall = isPin
+    ? false
+    : isPath
+      ? rect.width < 10 && rect.height < 10
+      : rect.width < 10 || rect.height < 10;
+  if (tooSmall) {
+    finishedAnnotation.remove();
+    return;
+  }
+
+  const shape = {
+    x: parseInt(finishedAnnotation.style.left),
+    y: parseInt(finishedAnnotation.style.top),
+    width: rect.width,
+    height: rect.height,
+    tool: toolUsed,
+    color: colorUsed,
+    freehandPath: capturedFreehandPoints,
+    startPoint: { x: drawStartX, y: drawStartY },
+    endPoint: { x: drawEndX, y: drawEndY },
+    ...styleUsed,
+  };
+  if (isPin) {
+    // Anchored at the click point; the box is derived from it when rendering
+    Object.assign(shape, window.PowerBIAnnotatorTools.pinBox(shape.startPoint), {
+      endPoint: shape.startPoint,
+    });
+  }
+  await saveDrawnAnnotation(finishedAnnotation, shape);
+}
+
+// --- Polygon / polyline: one click per vertex ---
 
-  // Ignore very small annotations (accidental clicks)
-  if (rect.width < 10 || rect.height < 10) {
+function addVertex(e) {
+  const point = { x: e.pageX, y: e.pageY };
+  if (!currentAnnotation) {
+    currentAnnotation = document.createElement("div");
+    currentAnnotation.className = "pbi-annotation-box pbi-drawing";
+    currentAnnotation.style.borderColor = currentColor;
+    document.body.appendChild(currentAnnotation);
+    vertexPoints = [];
+  }
+  // The two mousedowns of a double-click land on the same spot: keep one vertex
+  const last = vertexPoints[vertexPoints.length - 1];
+  if (last && Math.abs(last.x - point.x) < 3 && Math.abs(last.y - point.y) < 3) return;
+  vertexPoints.push(point);
+  updateVertexPreview(null);
+}
+
+// Redraw the shape so far, rubber-banding to the cursor when given
+function updateVertexPreview(cursor) {
+  const points = cursor ? vertexPoints.concat([cursor]) : vertexPoints;
+  const geometry = window.PowerBIAnnotatorTools.computeGeometry(currentDrawingTool, null, null, points);
+  currentAnnotation.style.left = geometry.x + 'px';
+  currentAnnotation.style.top = geometry.y + 'px';
+  currentAnnotation.style.width = geometry.width + 'px';
+  currentAnnotation.style.height = geometry.height + 'px';
+  updateAnnotationVisual(currentAnnotation, geometry);
+}
+
+function cancelVertexShape() {
+  if (vertexPoints.length === 0) return;
+  if (currentAnnotation) currentAnnotation.remove();
+  currentAnnotation = null;
+  vertexPoints = [];
+}
+
+async function finishVertexShape() {
+  const toolUsed = currentDrawingTool;
+  const points = vertexPoints;
+  const finishedAnnotation = currentAnnotation;
+  currentAnnotation = null;
+  vertexPoints = [];
+
+  const minVertices = toolUsed === 'polygon' ? 3 : 2;
+  if (points.length < minVertices) {
     finishedAnnotation.remove();
+    showToast(`A ${toolUsed} needs at least ${minVertices} points`);
     return;
   }
 
-  // Prompt for comment using custom modal
-  const comment = await showPrompt("Enter your comment for this annotation:");
+  const geometry = window.PowerBIAnnotatorTools.computeGeometry(toolUsed, null, null, points);
+  updateAnnotationVisual(finishedAnnotation, geometry); // drop the rubber-band segment
+  await saveDrawnAnnotation(finishedAnnotation, {
+    x: geometry.x,
+    y: geometry.y,
+    width: geometry.width,
+    height: geometry.height,
+    tool: toolUsed,
+    color: currentColor,
+    freehandPath: null,
+    vertices: points,
+    startPoint: points[0],
+    endPoint: points[points.length - 1],
+    ...currentToolStyle(toolUsed),
+  });
+}
+
+// Prompt for the comment on a finished shape and store it, or drop the
+// preview element if the prompt is cancelled. `shape` holds the pixel-space
+// geometry, tool, color and style fields.
+async function saveDrawnAnnotation(finishedAnnotation, shape) {
+  // Filters/slicers as they are now, read while the user types the comment
+  const viewStatePromise = captureViewState();
+
+  // Prompt for comment using custom modal (redactions carry no comment)
+  const redacting = shape.tool === 'redact';
+  const details = redacting ? null : await showCommentPrompt("Enter your comment for this annotation:");
 
-  if (comment && comment.trim()) {
+  if (redacting || (details && details.comment.trim())) {
     let annotation = {
       id: generateAnnotationId(),
-      x: parseInt(finishedAnnotation.style.left),
-      y: parseInt(finishedAnnotation.style.top),
-      width: rect.width,
-      height: rect.height,
-      comment: comment.trim(),
+      ...shape,
+      comment: redacting ? '' : details.comment.trim(),
+      ...(redacting ? {} : { category: details.category, priority: details.priority, tags: details.tags }),
       timestamp: new Date().toISOString(),
+      author: currentAuthor(),
       url: window.location.href,
       pageName: getPageName(),
-      tool: toolUsed,
-      color: colorUsed,
-      freehandPath: capturedFreehandPoints,
-      startPoint: { x: drawStartX, y: drawStartY },
-      endPoint: { x: drawEndX, y: drawEndY },
+      viewState: await viewStatePromise,
     };
 
-    // Anchor to the report canvas so the shape survives layout changes
-    // (App view, window resize, sidebar toggles). Falls back to legacy
-    // absolute coords when no canvas is found (e.g. test-page.html edge cases).
-    const reportCanvas = getReportCanvas();
-    if (reportCanvas) {
-      const canvasRect = window.PowerBIAnnotatorCoords.getCanvasPageRect(reportCanvas, window);
-      annotation = window.PowerBIAnnotatorCoords.annotationToRelative(annotation, canvasRect);
-    }
+    annotation = anchorAnnotation(annotation);
 
+    const before = snapshotPages([getPageKey()]);
     annotations.push(annotation);
     saveAnnotations();
+    recordChange('create', before);
 
-    // Update the annotation box with ID
-    finishedAnnotation.classList.remove("pbi-drawing");
-    finishedAnnotation.dataset.id = annotation.id;
-
-    // [Fix #1] Use appendChild instead of innerHTML += to preserve SVG elements
-    if (toolUsed === 'rectangle') {
-      finishedAnnotation.innerHTML = '';
-    }
-    const badge = document.createElement('div');
-    badge.className = 'pbi-annotation-number';
-    const globalStart = getGlobalStartNumber();
-    badge.textContent = globalStart + annotations.length;
-    finishedAnnotation.appendChild(badge);
-
-    // Add click handler to show comment
-    finishedAnnotation.addEventListener("click", (e) => {
-      e.stopPropagation();
-      showAnnotationComment(annotation.id);
-    });
+    // Swap the drawing preview for the saved box (text labels only get their
+    // text now that the comment is known)
+    finishedAnnotation.replaceWith(createAnnotationElement(annotation, getAnnotationNumber(annotation.id)));
 
     renderComments();
     renderPageList();
@@ -976,24 +1885,447 @@ async function handleMouseUp(e) {
   }
 }
 
-// Show annotation comment in custom modal [Fix #8]
-function showAnnotationComment(id) {
+// Anchor a pixel-space annotation to the report canvas so the shape survives
+// layout changes (App view, window resize, sidebar toggles). Falls back to
+// legacy absolute coords when no canvas is found (e.g. test-page.html edge cases).
+// When the shape sits on a visual, that visual is recorded too (name, title
+// and type for the exports) so the shape follows it if the report author
+// later moves or resizes it.
+function anchorAnnotation(annotation) {
+  const reportCanvas = getReportCanvas();
+  if (!reportCanvas) return annotation;
+  const Coords = window.PowerBIAnnotatorCoords;
+  const canvasRect = Coords.getCanvasPageRect(reportCanvas, window);
+  const anchored = Coords.annotationToRelative(annotation, canvasRect);
+  const found = findVisualAt(annotation);
+  if (!found) {
+    anchored.visual = null;
+    return anchored;
+  }
+  const embedVisual = embedVisualFor(found.rect, canvasRect);
+  anchored.visual = {
+    name: embedVisual ? embedVisual.name : null,
+    title: (embedVisual && embedVisual.title) || visualTitleFromDom(found.element),
+    type: embedVisual ? embedVisual.type : null,
+    index: found.index,
+    rel: Coords.rectToRelative(found.rect, canvasRect),
+  };
+  return anchored;
+}
+
+// --- Selection: move, resize and re-point existing annotations ---
+
+function isSelectMode() {
+  return isAnnotationMode && currentDrawingTool === 'select';
+}
+
+// Global badge number, or null for redactions (which are never numbered)
+function getAnnotationNumber(id) {
+  const index = commentAnnotations(annotations).findIndex((a) => a.id === id);
+  return index === -1 ? null : getGlobalStartNumber() + index + 1;
+}
+
+function showSelectionHandles(box, annotation) {
+  const resolved = layoutBoxFor(resolveAnnotationForLayout(annotation));
+  box.classList.add('pbi-selected');
+  window.PowerBIAnnotatorSelection.handlesFor(resolved).forEach((h) => {
+    const handle = document.createElement('div');
+    handle.className = 'pbi-selection-handle';
+    handle.dataset.handle = h.name;
+    handle.style.left = (h.x - resolved.x) + 'px';
+    handle.style.top = (h.y - resolved.y) + 'px';
+    handle.style.cursor = h.name === 'start' || h.name === 'end' ? 'crosshair' : `${h.name}-resize`;
+    box.appendChild(handle);
+  });
+}
+
+function selectAnnotation(id) {
+  clearSelection();
   const annotation = annotations.find((a) => a.id === id);
-  if (annotation) {
-    const globalStart = getGlobalStartNumber();
-    const localIndex = annotations.indexOf(annotation);
-    showModal(
-      `Comment #${globalStart + localIndex + 1}:\n\n${annotation.comment}`,
-    );
+  const box = document.querySelector(`.pbi-annotation-box[data-id="${id}"]`);
+  if (!annotation || !box) return;
+  selectedAnnotationId = id;
+  showSelectionHandles(box, annotation);
+}
+
+function clearSelection() {
+  selectedAnnotationId = null;
+  selectionDrag = null;
+  document.querySelectorAll('.pbi-annotation-box.pbi-selected').forEach((box) => {
+    box.classList.remove('pbi-selected');
+    box.querySelectorAll('.pbi-selection-handle').forEach((h) => h.remove());
+  });
+}
+
+// Swap one box for a freshly rendered one (drag preview) without re-rendering the page.
+function replaceAnnotationBox(annotation) {
+  const oldBox = document.querySelector(`.pbi-annotation-box[data-id="${annotation.id}"]`);
+  if (!oldBox) return;
+  const box = createAnnotationElement(annotation, getAnnotationNumber(annotation.id));
+  oldBox.replaceWith(box);
+  if (selectedAnnotationId === annotation.id) showSelectionHandles(box, annotation);
+}
+
+function handleSelectionMouseDown(e) {
+  const box = e.target.closest('.pbi-annotation-box');
+  const id = box ? parseInt(box.dataset.id) : NaN;
+  const annotation = annotations.find((a) => a.id === id);
+  if (!annotation) {
+    clearSelection();
+    return;
   }
+  e.preventDefault();
+  if (selectedAnnotationId !== id) selectAnnotation(id);
+  const handleEl = e.target.closest('.pbi-selection-handle');
+  selectionDrag = {
+    id,
+    handle: handleEl ? handleEl.dataset.handle : 'move',
+    startX: e.pageX,
+    startY: e.pageY,
+    original: layoutBoxFor(resolveAnnotationForLayout(annotation)),
+    preview: null,
+  };
+}
+
+function handleSelectionMouseMove(e) {
+  const drag = selectionDrag;
+  const moved = window.PowerBIAnnotatorSelection.applyDrag(
+    drag.original, drag.handle, e.pageX - drag.startX, e.pageY - drag.startY);
+  drag.preview = anchorAnnotation(moved);
+  replaceAnnotationBox(drag.preview);
+}
+
+function handleSelectionMouseUp() {
+  const { id, preview } = selectionDrag;
+  selectionDrag = null;
+  if (!preview) return; // plain click: selection only
+  const index = annotations.findIndex((a) => a.id === id);
+  if (index === -1) return;
+  const before = snapshotPages([getPageKey()]);
+  annotations[index] = preview;
+  saveAnnotations();
+  recordChange('move', before);
+  cacheCurrentScreenshot();
+}
+
+// --- Undo / redo ---
+
+const HISTORY_LABELS = {
+  create: 'new annotation',
+  delete: 'delete',
+  edit: 'edit',
+  reply: 'reply',
+  status: 'status change',
+  move: 'move',
+  clear: 'clear',
+};
+
+// Copy of each page's annotations as stored right now (null = nothing stored).
+// The current page reads the live `annotations` array, which may not have
+// been written back to the cache yet.
+function snapshotPages(keys) {
+  const currentKey = getPageKey();
+  const snapshot = {};
+  keys.forEach((key) => {
+    const list = key === currentKey
+      ? annotations
+      : (allAnnotationsCache && allAnnotationsCache[key]);
+    snapshot[key] = list ? list.slice() : null;
+  });
+  return snapshot;
+}
+
+// Record a completed change. `before` comes from snapshotPages() taken
+// before the change; the after-state is read now.
+function recordChange(type, before) {
+  if (!commandHistory) return;
+  const after = snapshotPages(Object.keys(before));
+  const pages = {};
+  Object.keys(before).forEach((key) => {
+    pages[key] = { before: before[key], after: after[key] };
+  });
+  commandHistory.record(getReportId(), { type, pages });
+}
+
+function applyHistory(direction) {
+  const History = window.PowerBIAnnotatorHistory;
+  const scope = getReportId();
+  const entry = direction === 'undo' ? commandHistory.undo(scope) : commandHistory.redo(scope);
+  if (!entry) return;
+
+  const states = History.statesFor(entry, direction);
+  Object.keys(states).forEach((key) => {
+    if (states[key]) pageStore.setAnnotations(key, states[key].slice());
+    else pageStore.deleteAnnotations(key);
+  });
+
+  const currentKey = getPageKey();
+  annotations = (allAnnotationsCache && allAnnotationsCache[currentKey]) || [];
+  clearSelection();
+  renderAnnotationsForCurrentPage();
+  renderComments();
+  renderPageList();
+  showToast(`${direction === 'undo' ? 'Undid' : 'Redid'} ${HISTORY_LABELS[entry.type] || entry.type}`);
+}
+
+function handleHistoryShortcut(e) {
+  if (!commandHistory || !allAnnotationsCache) return;
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  // Leave text fields (and Power BI's own editors) their native undo
+  if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.pbi-modal-overlay')) return;
+  // Only claim the shortcut while the annotator is in use, so Power BI's
+  // edit-mode undo keeps working otherwise
+  if (!isAnnotationMode && !sidebarOpen) return;
+
+  const key = e.key.toLowerCase();
+  const scope = getReportId();
+  let direction = null;
+  if (key === 'z' && !e.shiftKey) direction = 'undo';
+  else if ((key === 'z' && e.shiftKey) || key === 'y') direction = 'redo';
+  if (!direction) return;
+  if (direction === 'undo' ? !commandHistory.canUndo(scope) : !commandHistory.canRedo(scope)) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  applyHistory(direction);
+}
+
+// Show annotation comment in custom modal [Fix #8]; Edit saves in place
+async function showAnnotationComment(id) {
+  const annotation = annotations.find((a) => a.id === id);
+  if (!annotation || isRedaction(annotation)) return;
+  const by = annotation.author ? ` by ${annotation.author.name}` : '';
+  const edited = await showCommentModal(`Comment #${getAnnotationNumber(id)}${by}:`, annotation.comment);
+  if (edited !== null) updateAnnotationComment(id, edited);
+}
+
+// Replace an annotation's comment text. Keeps the original timestamp (and so
+// its place in the numbering) and records when it was edited.
+function updateAnnotationComment(id, text) {
+  const comment = (text || '').trim();
+  const index = annotations.findIndex((a) => a.id === id);
+  if (index === -1 || !comment || comment === annotations[index].comment) return;
+  const before = snapshotPages([getPageKey()]);
+  annotations[index] = Object.assign({}, annotations[index], {
+    comment,
+    editedAt: new Date().toISOString(),
+    editedBy: currentAuthor(),
+  });
+  saveAnnotations();
+  recordChange('edit', before);
+  replaceAnnotationBox(annotations[index]); // text labels show the comment
+  renderComments();
+}
+
+// Author identity from the extension settings page: { name, initials }, or
+// null until a display name is set. Stamped on new annotations, edits and
+// replies; existing author fields are never rewritten, so annotations made
+// by someone else keep their author.
+let authorIdentity = null;
+
+function currentAuthor() {
+  if (!authorIdentity || !authorIdentity.name) return null;
+  return {
+    name: authorIdentity.name,
+    initials: authorIdentity.initials || initialsOf(authorIdentity.name),
+  };
+}
+
+// "Alex de Morgan" → "AD"
+function initialsOf(name) {
+  return name.split(/\s+/).filter(Boolean).slice(0, 2).map((word) => word[0].toUpperCase()).join('');
+}
+
+function authorLabel(author) {
+  return author && author.name ? author.name : 'Anonymous';
+}
+
+function loadAuthorIdentity() {
+  chrome.storage.local.get(['author'], (result) => {
+    if (!chrome.runtime.lastError) authorIdentity = result.author || null;
+    renderAuthor();
+  });
+  // Saved on the settings page while this tab is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.author) return;
+    authorIdentity = changes.author.newValue || null;
+    renderAuthor();
+  });
+}
+
+// Header button showing who new annotations are stamped with
+function renderAuthor() {
+  const btn = document.getElementById('pbi-author-btn');
+  if (!btn) return;
+  const author = currentAuthor();
+  btn.textContent = author ? author.initials : 'Set name';
+  btn.title = author
+    ? `Annotating as ${author.name} \u2014 change in extension settings`
+    : 'Set the name stamped on your annotations';
+}
+
+// Replies thread under an annotation's comment: { id, author, text, timestamp }
+function addReply(id, text) {
+  const reply = (text || '').trim();
+  const index = annotations.findIndex((a) => a.id === id);
+  if (index === -1 || !reply) return;
+  const before = snapshotPages([getPageKey()]);
+  annotations[index] = Object.assign({}, annotations[index], {
+    replies: (annotations[index].replies || []).concat({
+      id: generateAnnotationId(),
+      author: currentAuthor(),
+      text: reply,
+      timestamp: new Date().toISOString(),
+    }),
+  });
+  saveAnnotations();
+  recordChange('reply', before);
+  renderComments();
+}
+
+function setAnnotationStatus(id, status) {
+  const index = annotations.findIndex((a) => a.id === id);
+  if (index === -1 || statusOf(annotations[index]) === status) return;
+  const before = snapshotPages([getPageKey()]);
+  annotations[index] = Object.assign({}, annotations[index], { status });
+  saveAnnotations();
+  recordChange('status', before);
+  renderAnnotationsForCurrentPage(); // may dim, hide or bring back its shape
+  renderComments();
+  renderPageList();
+}
+
+function renderLabelBadges(annotation) {
+  const badges = [];
+  if (annotation.category) {
+    badges.push(`<span class="pbi-label-badge pbi-category-${annotation.category}">${escapeHtml(categoryLabel(annotation.category))}</span>`);
+  }
+  if (annotation.priority) {
+    badges.push(`<span class="pbi-label-badge pbi-priority-${annotation.priority}">${escapeHtml(annotation.priority)}</span>`);
+  }
+  (annotation.tags || []).forEach((tag) => {
+    badges.push(`<span class="pbi-label-badge pbi-tag-badge">#${escapeHtml(tag)}</span>`);
+  });
+  return badges.length > 0 ? `<div class="pbi-label-badges">${badges.join('')}</div>` : '';
+}
+
+// Category / priority / tag filter above the comments. The tag list follows
+// the tags used on this page.
+function renderCommentFilters(comments) {
+  const tagSelect = document.getElementById('pbi-filter-tag');
+  if (!tagSelect) return;
+  const tags = Array.from(new Set(comments.flatMap((a) => a.tags || []))).sort();
+  if (commentFilter.tag && !tags.includes(commentFilter.tag)) tags.push(commentFilter.tag);
+  tagSelect.innerHTML = '<option value="">All tags</option>' +
+    tags.map((tag) => `<option value="${escapeHtml(tag).replace(/"/g, '&quot;')}">#${escapeHtml(tag)}</option>`).join('');
+  tagSelect.value = commentFilter.tag;
+}
+
+function renderReplies(annotation) {
+  const replies = annotation.replies || [];
+  if (replies.length === 0) return '';
+  return `<div class="pbi-comment-replies">${replies.map((reply) => `
+      <div class="pbi-comment-reply">
+        <div class="pbi-comment-reply-meta"><strong>${escapeHtml(authorLabel(reply.author))}</strong> \u00b7 ${formatTime(reply.timestamp)}</div>
+        <div class="pbi-comment-reply-text">${escapeHtml(reply.text)}</div>
+      </div>`).join('')}
+    </div>`;
+}
+
+// Open a reply box under a sidebar item; Ctrl+Enter posts, Escape cancels
+function startReply(id) {
+  const item = document.querySelector(`.pbi-comment-item[data-id="${id}"]`);
+  if (!item || item.querySelector('.pbi-comment-editor')) return;
+
+  const actionsEl = item.querySelector('.pbi-comment-actions');
+  const editor = document.createElement('div');
+  editor.className = 'pbi-comment-editor';
+  editor.innerHTML = `
+    <textarea class="pbi-comment-edit-input" placeholder="Write a reply..."></textarea>
+    <div class="pbi-comment-actions">
+      <button class="pbi-btn-small pbi-btn-highlight" data-action="post">Reply</button>
+      <button class="pbi-btn-small pbi-btn-cancel" data-action="cancel">Cancel</button>
+    </div>
+  `;
+  const input = editor.querySelector('textarea');
+  actionsEl.style.display = 'none';
+  actionsEl.after(editor);
+  input.focus();
+
+  const cancel = () => {
+    editor.remove();
+    actionsEl.style.display = '';
+  };
+  const post = () => {
+    if (!input.value.trim()) return;
+    addReply(id, input.value); // re-renders the list, closing the box
+  };
+  editor.querySelector('[data-action="post"]').addEventListener('click', post);
+  editor.querySelector('[data-action="cancel"]').addEventListener('click', cancel);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.ctrlKey) post();
+    if (e.key === 'Escape') cancel();
+  });
+}
+
+// Swap a sidebar item's text for a textarea; Ctrl+Enter saves, Escape cancels
+function startInlineEdit(id) {
+  const item = document.querySelector(`.pbi-comment-item[data-id="${id}"]`);
+  const annotation = annotations.find((a) => a.id === id);
+  if (!item || !annotation || item.querySelector('.pbi-comment-editor')) return;
+
+  const textEl = item.querySelector('.pbi-comment-text');
+  const actionsEl = item.querySelector('.pbi-comment-actions');
+  const editor = document.createElement('div');
+  editor.className = 'pbi-comment-editor';
+  editor.innerHTML = `
+    <textarea class="pbi-comment-edit-input"></textarea>
+    <div class="pbi-comment-actions">
+      <button class="pbi-btn-small pbi-btn-highlight" data-action="save">Save</button>
+      <button class="pbi-btn-small pbi-btn-cancel" data-action="cancel">Cancel</button>
+    </div>
+  `;
+  const input = editor.querySelector('textarea');
+  input.value = annotation.comment;
+  textEl.style.display = 'none';
+  actionsEl.style.display = 'none';
+  textEl.after(editor);
+  input.focus();
+
+  const cancel = () => {
+    editor.remove();
+    textEl.style.display = '';
+    actionsEl.style.display = '';
+  };
+  const save = () => {
+    const text = input.value.trim();
+    if (!text) return;
+    // Unchanged text saves nothing and re-renders nothing: just close the editor
+    if (text === annotation.comment) {
+      cancel();
+      return;
+    }
+    updateAnnotationComment(id, text); // re-renders the sidebar, editor included
+  };
+  editor.querySelector('[data-action="save"]').addEventListener('click', save);
+  editor.querySelector('[data-action="cancel"]').addEventListener('click', cancel);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.ctrlKey) save();
+    if (e.key === 'Escape') cancel();
+  });
 }
 
 // Render comments in sidebar
 function renderComments() {
   const commentsList = document.getElementById("pbi-comments-list");
 
+  const comments = commentAnnotations(annotations);
+  const redactions = annotations.filter(isRedaction);
+
   const countBadge = document.getElementById('pbi-total-count');
-  if (countBadge) countBadge.textContent = annotations.length || '';
+  if (countBadge) countBadge.textContent = comments.length || '';
+  renderCommentFilters(comments);
 
   if (annotations.length === 0) {
     commentsList.innerHTML =
@@ -1001,20 +2333,43 @@ function renderComments() {
     return;
   }
 
+  // Numbers are worked out before filtering so they keep matching the badges
   const globalStart = getGlobalStartNumber();
-  commentsList.innerHTML = annotations
+  const shown = comments
+    .map((annotation, index) => ({ annotation, number: globalStart + index + 1 }))
+    .filter(({ annotation }) => matchesCommentFilter(annotation));
+  const hiddenCount = comments.length - shown.length;
+  commentsList.innerHTML = shown
     .map(
-      (annotation, index) => `
-    <div class="pbi-comment-item" data-id="${annotation.id}">
+      ({ annotation, number }) => `
+    <div class="pbi-comment-item ${isDone(annotation) ? 'pbi-comment-done' : ''}" data-id="${annotation.id}">
       <div class="pbi-comment-header">
-        <span class="pbi-comment-number" style="background:${annotation.color || '#0078d4'}">#${globalStart + index + 1}</span>
-        <span class="pbi-comment-time">${formatTime(annotation.timestamp)}</span>
+        <span class="pbi-comment-number" style="background:${annotation.color || '#0078d4'}">#${number}</span>
+        <select class="pbi-status-select" data-id="${annotation.id}" data-status="${statusOf(annotation)}" title="Status">
+          ${ANNOTATION_STATUSES.map((s) => `<option value="${s.value}"${s.value === statusOf(annotation) ? ' selected' : ''}>${s.label}</option>`).join('')}
+        </select>
+        <span class="pbi-comment-time">${annotation.author ? `<span class="pbi-comment-author" title="${escapeHtml(annotation.author.name).replace(/"/g, '&quot;')}">${escapeHtml(annotation.author.initials || annotation.author.name)}</span> ` : ''}${formatTime(annotation.timestamp)}${annotation.editedAt ? ` <span class="pbi-comment-edited" title="Edited ${new Date(annotation.editedAt).toLocaleString()}${annotation.editedBy ? ` by ${escapeHtml(annotation.editedBy.name).replace(/"/g, '&quot;')}` : ''}">(edited)</span>` : ''}</span>
       </div>
+      ${renderLabelBadges(annotation)}
       <div class="pbi-comment-text">${escapeHtml(annotation.comment)}</div>
+      ${renderReplies(annotation)}
       <div class="pbi-comment-actions">
         <button class="pbi-btn-small pbi-btn-highlight" data-id="${annotation.id}">
           Highlight
         </button>
+        ${annotation.viewState && annotation.viewState.bookmark ? `
+        <button class="pbi-btn-small pbi-btn-restore" data-id="${annotation.id}" title="${escapeHtml(viewStateTooltip(annotation.viewState)).replace(/"/g, '&quot;')}">
+          Restore view
+        </button>` : ''}
+        <button class="pbi-btn-small pbi-btn-copy-link" data-id="${annotation.id}" title="Copy a link that opens the report at this comment">
+          Copy link
+        </button>
+        <button class="pbi-btn-small pbi-btn-reply" data-id="${annotation.id}">
+          Reply
+        </button>
+        <button class="pbi-btn-small pbi-btn-edit" data-id="${annotation.id}">
+          Edit
+        </button>
         <button class="pbi-btn-small pbi-btn-delete" data-id="${annotation.id}">
           Delete
         </button>
@@ -1022,12 +2377,44 @@ function renderComments() {
     </div>
   `,
     )
-    .join("");
+    .join("") +
+    (hiddenCount > 0 ? `<p class="pbi-comment-filtered">${hiddenCount} comment${hiddenCount !== 1 ? 's' : ''} hidden by the filter</p>` : '') +
+    renderRedactionList(redactions);
+
+  // Add event listeners for highlight and delete buttons
+  commentsList.querySelectorAll(".pbi-btn-highlight").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      highlightAnnotation(parseInt(e.target.dataset.id));
+    });
+  });
+
+  commentsList.querySelectorAll(".pbi-btn-restore").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      restoreAnnotationView(parseInt(e.target.dataset.id));
+    });
+  });
+
+  commentsList.querySelectorAll(".pbi-btn-copy-link").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      copyAnnotationLink(parseInt(e.target.dataset.id));
+    });
+  });
+
+  commentsList.querySelectorAll(".pbi-status-select").forEach((select) => {
+    select.addEventListener("change", (e) => {
+      setAnnotationStatus(parseInt(e.target.dataset.id), e.target.value);
+    });
+  });
+
+  commentsList.querySelectorAll(".pbi-btn-reply").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      startReply(parseInt(e.target.dataset.id));
+    });
+  });
 
-  // Add event listeners for highlight and delete buttons
-  commentsList.querySelectorAll(".pbi-btn-highlight").forEach((btn) => {
+  commentsList.querySelectorAll(".pbi-btn-edit").forEach((btn) => {
     btn.addEventListener("click", (e) => {
-      highlightAnnotation(parseInt(e.target.dataset.id));
+      startInlineEdit(parseInt(e.target.dataset.id));
     });
   });
 
@@ -1038,8 +2425,31 @@ function renderComments() {
   });
 }
 
+// Redactions get a compact section of their own below the numbered comments
+function renderRedactionList(redactions) {
+  if (redactions.length === 0) return '';
+  return `
+    <div class="pbi-redaction-list">
+      <div class="pbi-redaction-title">Redactions (${redactions.length}) \u2014 masked in PDF/PPT exports</div>
+      ${redactions.map((r) => `
+        <div class="pbi-redaction-item" data-id="${r.id}">
+          <span>${r.redactStyle === 'blackout' ? 'Black out' : 'Pixelate'}</span>
+          <div class="pbi-comment-actions">
+            <button class="pbi-btn-small pbi-btn-highlight" data-id="${r.id}">Highlight</button>
+            <button class="pbi-btn-small pbi-btn-delete" data-id="${r.id}">Delete</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
 // Get the report page order from Power BI navigation
 function getReportPageOrder() {
+  if (embedPages.length > 0) {
+    return embedPages.map((page) => page.displayName);
+  }
+
   const pageOrder = [];
   
   // Try to find all page navigation buttons in order
@@ -1080,12 +2490,21 @@ function getAnnotatedPages() {
   if (!allAnnotationsCache) return [];
   const currentKey = getPageKey();
   const currentReportId = getReportId();
+  const hostedReportIds = new Set([currentReportId]);
+  Object.values(embedStates).forEach((state) => {
+    if (state.reportId) hostedReportIds.add(state.reportId);
+  });
   const reportPageOrder = getReportPageOrder();
   
   const pages = Object.keys(allAnnotationsCache)
     .filter(key => {
       if (allAnnotationsCache[key].length === 0) return false;
-      // Filter to only show pages from current report
+      // Filter to only show pages from current report. Canonical keys start
+      // with the report id; on host pages (report iframes) the stored URL is
+      // the host page's, so only the key can tell. Every embed on the page
+      // counts as the current report.
+      const hashIdx = key.indexOf('#');
+      if (hashIdx > 0) return hostedReportIds.has(key.slice(0, hashIdx));
       // Extract report ID from the stored page URL
       const firstAnnotation = allAnnotationsCache[key][0];
       if (firstAnnotation && firstAnnotation.url) {
@@ -1106,9 +2525,13 @@ function getAnnotatedPages() {
     })
     .map(key => {
       const pageAnnotations = allAnnotationsCache[key];
-      // Get page name from stored annotation data (more reliable than URL parsing)
+      const embedPage = embedPageForKey(key);
+      // Get page name from the embed API, else from stored annotation data
+      // (more reliable than URL parsing)
       let name = key;
-      if (pageAnnotations.length > 0) {
+      if (embedPage) {
+        name = embedPage.displayName;
+      } else if (pageAnnotations.length > 0) {
         // Use stored pageName from first annotation if available
         if (pageAnnotations[0].pageName) {
           name = pageAnnotations[0].pageName;
@@ -1129,14 +2552,28 @@ function getAnnotatedPages() {
       return {
         key,
         name,
-        count: pageAnnotations.length,
+        order: embedPage ? embedPage.order : window.PowerBIAnnotatorPageStore.paginatedPageNumber(key),
+        embedIndex: embedPage ? embedPage.embedIndex : null,
+        embedName: embedPage ? embedPage.name : null,
+        count: commentAnnotations(pageAnnotations).length,
+        doneCount: commentAnnotations(pageAnnotations).filter(isDone).length,
         isCurrent: key === currentKey,
         hasScreenshot: !!screenshotCache[key]
       };
     });
   
   // Sort pages to match report order
-  if (reportPageOrder.length > 0) {
+  if (pages.some((page) => page.order !== null)) {
+    // Embed API order; pages it doesn't know (e.g. deleted) go last
+    pages.sort((a, b) => {
+      if (a.order !== null && b.order !== null) {
+        return (a.embedIndex - b.embedIndex) || (a.order - b.order);
+      }
+      if (a.order !== null) return -1;
+      if (b.order !== null) return 1;
+      return a.name.localeCompare(b.name);
+    });
+  } else if (reportPageOrder.length > 0) {
     pages.sort((a, b) => {
       const indexA = reportPageOrder.indexOf(a.name);
       const indexB = reportPageOrder.indexOf(b.name);
@@ -1194,13 +2631,116 @@ function renderPageList() {
     <div class="pbi-page-item ${page.isCurrent ? 'pbi-page-current' : ''}">
       <div class="pbi-page-info">
         <span class="pbi-page-name">${escapeHtml(page.name)}</span>
-        <span class="pbi-page-meta">${page.count} comment${page.count !== 1 ? 's' : ''}${page.hasScreenshot ? ' \u2022 \ud83d\udcf8' : ''}</span>
+        <span class="pbi-page-meta">${page.count - page.doneCount} open \u2022 ${page.doneCount} resolved${page.hasScreenshot ? ' \u2022 \ud83d\udcf8' : ''}</span>
       </div>
       ${page.isCurrent ? '<span class="pbi-page-badge-current">Current</span>' : ''}
     </div>
   `).join('');
 }
 
+// --- Deep links: <report url>#pbi-annotation=<id>&page=<page key> ---
+
+const DEEP_LINK_PARAM = 'pbi-annotation';
+
+function annotationLink(annotation, pageKey) {
+  const url = new URL(annotation.url || window.location.href);
+  url.hash = `${DEEP_LINK_PARAM}=${annotation.id}&page=${encodeURIComponent(pageKey)}`;
+  return url.toString();
+}
+
+function parseDeepLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const id = parseInt(params.get(DEEP_LINK_PARAM));
+  return id ? { id, pageKey: params.get('page') } : null;
+}
+
+// The fragment minus the deep-link parameters. The rest may be Power BI's or
+// the host page's own state (not always key=value pairs), so it is kept as is.
+function hashWithoutDeepLink(hash) {
+  const rest = hash.replace(/^#/, '').split('&')
+    .filter((part) => !part.startsWith(`${DEEP_LINK_PARAM}=`) && !part.startsWith('page='))
+    .join('&');
+  return rest ? `#${rest}` : '';
+}
+
+async function copyAnnotationLink(id) {
+  const annotation = annotations.find((a) => a.id === id);
+  if (!annotation) return;
+  try {
+    await navigator.clipboard.writeText(annotationLink(annotation, getPageKey()));
+    showToast(`Link to #${getAnnotationNumber(id)} copied`);
+  } catch (error) {
+    console.error('Failed to copy link:', error);
+    showToast("Couldn't copy the link");
+  }
+}
+
+// Page holding the linked annotation: the key in the link, or any page with
+// that id if the key changed (e.g. link copied in App view, opened in a workspace)
+function findDeepLinkedPage(link) {
+  const pages = allAnnotationsCache || {};
+  const holds = (key) => (pages[key] || []).some((a) => a.id === link.id);
+  if (link.pageKey && holds(link.pageKey)) return link.pageKey;
+  return Object.keys(pages).find(holds) || null;
+}
+
+function waitForReportCanvas(timeoutMs = 15000) {
+  return new Promise((resolve) => {
+    const start = Date.now();
+    (function poll() {
+      if (getReportCanvas() || Date.now() - start > timeoutMs) { resolve(); return; }
+      setTimeout(poll, 250);
+    })();
+  });
+}
+
+// Open the annotation named in the URL fragment: go to its page, restore the
+// filters it was written under and highlight it. Runs once annotations are
+// loaded (after pageStore.init) and whenever the fragment changes.
+async function openDeepLink() {
+  const link = parseDeepLink(window.location.hash);
+  if (!link) return;
+  // Drop the marker so reloads and later navigation don't re-open it
+  history.replaceState(history.state, '',
+    window.location.pathname + window.location.search + hashWithoutDeepLink(window.location.hash));
+
+  const pageKey = findDeepLinkedPage(link);
+  if (!pageKey) {
+    await showModal("The linked annotation isn't saved in this browser.");
+    return;
+  }
+
+  await waitForReportCanvas();
+  if (getPageKey() !== pageKey) {
+    const page = getAnnotatedPages().find((p) => p.key === pageKey) ||
+      { key: pageKey, name: (allAnnotationsCache[pageKey][0] || {}).pageName };
+    if (!(await navigateToPage(page))) {
+      showToast("Couldn't open the linked page");
+      return;
+    }
+  }
+
+  const annotation = annotations.find((a) => a.id === link.id);
+  if (annotation && annotation.viewState) await applyViewState(annotation.viewState);
+  highlightAnnotation(link.id);
+}
+
+function viewStateTooltip(viewState) {
+  return viewState.filters && viewState.filters.length > 0
+    ? `Re-apply the filters saved with this comment:\n${viewState.filters.join('\n')}`
+    : 'Re-apply the filters saved with this comment (none were active)';
+}
+
+// Put the report's filters and slicers back the way they were when the
+// comment was written, then point at the annotation
+async function restoreAnnotationView(id) {
+  const annotation = annotations.find((a) => a.id === id);
+  if (!annotation) return;
+  const applied = await applyViewState(annotation.viewState);
+  if (!applied) showToast("Couldn't restore the saved view");
+  highlightAnnotation(id);
+}
+
 // Highlight annotation on page
 function highlightAnnotation(id) {
   const annotationBox = document.querySelector(
@@ -1220,11 +2760,14 @@ function highlightAnnotation(id) {
 
 // Delete annotation [Fix #3, #8] - async for custom confirm, renumbers badges
 async function deleteAnnotation(id) {
-  const confirmed = await showConfirm("Delete this comment?");
+  const target = annotations.find((a) => a.id === id);
+  const confirmed = await showConfirm(target && isRedaction(target) ? "Remove this redaction?" : "Delete this comment?");
   if (!confirmed) return;
 
   // Remove from array
+  const before = snapshotPages([getPageKey()]);
   annotations = annotations.filter((a) => a.id !== id);
+  if (selectedAnnotationId === id) clearSelection();
 
   // Remove from DOM
   const annotationBox = document.querySelector(
@@ -1235,6 +2778,7 @@ async function deleteAnnotation(id) {
   }
 
   saveAnnotations();
+  recordChange('delete', before);
   renumberAnnotations();
   renderComments();
   renderPageList();
@@ -1251,18 +2795,21 @@ async function clearCurrentPageAnnotations() {
   }
 
   const confirmed = await showConfirm(
-    `Delete all ${count} comment${count > 1 ? 's' : ''} from "${pageName}"?\n\nThis cannot be undone.`
+    `Delete all ${count} comment${count > 1 ? 's' : ''} from "${pageName}"?\n\nPress Ctrl+Z afterwards to undo.`
   );
   if (!confirmed) return;
 
+  const before = snapshotPages([getPageKey()]);
   annotations = [];
+  clearSelection();
   document
     .querySelectorAll(".pbi-annotation-box")
     .forEach((box) => box.remove());
   saveAnnotations();
+  recordChange('clear', before);
   renderComments();
   renderPageList();
-  showToast('Page annotations cleared');
+  showToast('Page annotations cleared \u2014 Ctrl+Z to undo');
 }
 
 // Clear all annotations across all pages [Fix #8] - async for custom confirm
@@ -1277,12 +2824,16 @@ async function clearAllAnnotations() {
   }
 
   const confirmed = await showConfirm(
-    `Delete ALL comments from ALL pages (${totalCount} total across ${pages.length} page${pages.length > 1 ? 's' : ''})?\n\nThis cannot be undone.`
+    `Delete ALL comments from ALL pages (${totalCount} total across ${pages.length} page${pages.length > 1 ? 's' : ''})?\n\nPress Ctrl+Z afterwards to undo.`
   );
   if (!confirmed) return;
 
+  // deleteAll wipes every stored page, so snapshot every stored page
+  const before = snapshotPages(Object.keys(allAnnotationsCache || {}).concat(getPageKey()));
+
   // Clear current page UI
   annotations = [];
+  clearSelection();
   document
     .querySelectorAll(".pbi-annotation-box")
     .forEach((box) => box.remove());
@@ -1290,10 +2841,11 @@ async function clearAllAnnotations() {
   // Clear all pages from storage via PageStore (mirror stays in sync because
   // _snapshot() returns the same object reference; deleteAll mutates in place).
   if (pageStore) pageStore.deleteAll();
+  recordChange('clear', before);
 
   renderComments();
   renderPageList();
-  showToast('All annotations cleared');
+  showToast('All annotations cleared \u2014 Ctrl+Z to undo');
 }
 
 // Show scope selection dialog when multiple pages have annotations
@@ -1316,7 +2868,7 @@ function showScopeDialog() {
             Export All Pages (${totalCount} comments)
           </button>
           <button class="pbi-modal-btn" style="width:100%;text-align:center;background:#f0f7ff;color:#0078d4;" data-scope="current">
-            Current Page Only (${annotations.length} comments)
+            Current Page Only (${commentAnnotations(annotations).length} comments)
           </button>
           <button class="pbi-modal-btn pbi-modal-btn-cancel" style="width:100%;text-align:center;" data-scope="cancel">
             Cancel
@@ -1337,7 +2889,7 @@ function showScopeDialog() {
 
 // Build Excel data for a set of pages (used by both single and multi-page export)
 function buildExcelData(pages) {
-  const headers = ["No", "Page Name", "URL", "Date", "Comment"];
+  const headers = ["No", "Page Name", "URL", "Date", "Author", "Comment", "Status", "Category", "Priority", "Tags", "Visual Title", "Visual Type", "Visual Name", "Filters", "Link"];
   const data = [headers];
   let globalNumber = 1;
 
@@ -1348,15 +2900,41 @@ function buildExcelData(pages) {
       pageUrl = page.annotations[0].url;
     }
 
-    for (const annotation of page.annotations) {
+    for (const annotation of commentAnnotations(page.annotations)) {
       const date = new Date(annotation.timestamp);
+      const visual = annotation.visual || {};
+      const number = globalNumber++; // numbers match the badges, filtered or not
+      if (!includedInExport({ status: statusOf(annotation) })) continue;
       data.push([
-        globalNumber++,
-        page.name,
+        number,
+        exportPageTitle(page.name, page.key),
         pageUrl,
         date.toLocaleDateString(),
+        annotation.author ? annotation.author.name : '',
         annotation.comment,
+        statusLabel(statusOf(annotation)),
+        categoryLabel(annotation.category),
+        annotation.priority || '',
+        (annotation.tags || []).join(', '),
+        visual.title || '',
+        visual.type || '',
+        visual.name || '',
+        annotation.viewState ? (annotation.viewState.filters || []).join('; ') : '',
+        annotationLink(annotation, page.key),
       ]);
+      // One row per reply, numbered under its comment (3.1, 3.2, ...)
+      (annotation.replies || []).forEach((reply, index) => {
+        data.push([
+          `${number}.${index + 1}`,
+          exportPageTitle(page.name, page.key),
+          pageUrl,
+          new Date(reply.timestamp).toLocaleDateString(),
+          reply.author ? reply.author.name : '',
+          `\u21b3 ${reply.text}`,
+          '', '', '', '', '', '', '', '',
+          annotationLink(annotation, page.key),
+        ]);
+      });
     }
   }
 
@@ -1365,7 +2943,7 @@ function buildExcelData(pages) {
 
 // Export annotations to Excel (.xlsx format) [Fix #8, #10]
 async function exportAnnotations() {
-  if (annotations.length === 0) {
+  if (commentAnnotations(annotations).length === 0) {
     await showModal("No comments to export. Create some annotations first!");
     return;
   }
@@ -1385,7 +2963,7 @@ async function exportAnnotations() {
     pages = [{ name: getPageName(), key: getPageKey(), annotations }];
   }
 
-  const totalCount = pages.reduce((sum, p) => sum + p.annotations.length, 0);
+  const totalCount = pages.reduce((sum, p) => sum + commentAnnotations(p.annotations).length, 0);
   const excelData = buildExcelData(pages);
 
   // Create workbook and worksheet using SheetJS
@@ -1397,7 +2975,17 @@ async function exportAnnotations() {
     { wch: 30 }, // Page Name
     { wch: 80 }, // URL
     { wch: 12 }, // Date
-    { wch: 60 }  // Comment
+    { wch: 20 }, // Author
+    { wch: 60 }, // Comment
+    { wch: 14 }, // Status
+    { wch: 14 }, // Category
+    { wch: 10 }, // Priority
+    { wch: 24 }, // Tags
+    { wch: 30 }, // Visual Title
+    { wch: 20 }, // Visual Type
+    { wch: 24 }, // Visual Name
+    { wch: 50 }, // Filters
+    { wch: 80 }  // Link
   ];
 
   XLSX.utils.book_append_sheet(wb, ws, "Annotations");
@@ -1414,7 +3002,7 @@ async function exportAnnotations() {
 
 // Export pages with screenshots (PDF or PPT) [Fix #8, #9]
 async function exportPages() {
-  if (annotations.length === 0) {
+  if (commentAnnotations(annotations).length === 0) {
     await showModal('No comments to export. Create some annotations first!');
     return;
   }
@@ -1547,6 +3135,11 @@ function waitForScreenshotOrCancel() {
 
 // Generate presentation with screenshots [Fix #6, #8, #10]
 async function generatePresentation(format) {
+  if (!commentAnnotations(annotations).some((annotation) => includedInExport({ status: statusOf(annotation) }))) {
+    await showModal('No comments match the export status filter.');
+    return;
+  }
+
   // Hide sidebar during screenshot capture
   const sidebar = document.getElementById('pbi-annotator-sidebar');
   const toggleBtn = document.getElementById('pbi-toggle-btn');
@@ -1555,12 +3148,6 @@ async function generatePresentation(format) {
   sidebar.style.display = 'none';
   toggleBtn.style.display = 'none';
 
-  // Make sure all annotations are visible
-  document.querySelectorAll('.pbi-annotation-box').forEach(box => {
-    box.style.opacity = '1';
-    box.style.zIndex = '';
-  });
-
   // Get the Power BI report canvas area
   const reportCanvas = getReportCanvas();
   if (!reportCanvas) {
@@ -1571,6 +3158,9 @@ async function generatePresentation(format) {
     return;
   }
 
+  // Only shapes whose comments are exported go into the screenshot
+  setExportRendering(true);
+
   // Wait for rendering
   await new Promise(resolve => setTimeout(resolve, 300));
 
@@ -1583,6 +3173,7 @@ async function generatePresentation(format) {
     });
   } catch (error) {
     console.error('Extension communication error:', error);
+    setExportRendering(false);
     sidebar.style.display = '';
     toggleBtn.style.display = '';
     if (sidebarWasOpen) sidebar.classList.add('open');
@@ -1596,14 +3187,16 @@ async function generatePresentation(format) {
     const result = await waitForScreenshotOrCancel();
     if (result === null) {
       // User cancelled - restore sidebar and abort
+      setExportRendering(false);
       sidebar.style.display = '';
       toggleBtn.style.display = '';
       if (sidebarWasOpen) sidebar.classList.add('open');
       return;
     }
     if (result.screenshot) {
-      // Crop screenshot to only the report canvas area
-      screenshot = await cropScreenshotToCanvas(result.screenshot, reportCanvas);
+      // Mask redactions, then crop screenshot to only the report canvas area
+      const redacted = await redactScreenshot(result.screenshot, annotations);
+      screenshot = await cropScreenshotToCanvas(redacted, reportCanvas);
     } else if (result.error) {
       console.error('Screenshot capture error:', result.error);
     }
@@ -1611,7 +3204,8 @@ async function generatePresentation(format) {
     console.error('Failed to capture screenshot:', error);
   }
 
-  // Restore sidebar
+  // Restore shapes and sidebar
+  setExportRendering(false);
   sidebar.style.display = '';
   toggleBtn.style.display = '';
   if (sidebarWasOpen) {
@@ -1619,25 +3213,23 @@ async function generatePresentation(format) {
   }
 
   // Prepare all comments data
-  const comments = annotations.map((annotation, index) => ({
-    number: index + 1,
-    comment: annotation.comment,
-    date: new Date(annotation.timestamp).toLocaleDateString(),
-    tool: annotation.tool || 'rectangle',
-    color: annotation.color || '#0078d4'
-  }));
+  const comments = commentAnnotations(annotations)
+    .map((annotation, index) => exportComment(annotation, index + 1))
+    .filter(includedInExport);
 
-  const pageName = getPageName();
+  const pageName = exportPageTitle(getPageName(), getPageKey());
+  const viewState = await captureViewState();
+  const filters = viewState ? viewState.filters : [];
 
   // Fork: PPT format generates a real .pptx file
   if (format === 'ppt') {
-    await generatePptx(screenshot, comments, pageName);
+    await generatePptx(screenshot, comments, pageName, filters);
     showToast('Export ready — check your downloads');
     return;
   }
 
   // PDF format: generate real .pdf file using jsPDF
-  await generatePdf(screenshot, comments, pageName);
+  await generatePdf(screenshot, comments, pageName, filters);
   showToast('Export ready — check your downloads');
 }
 
@@ -1718,11 +3310,85 @@ function waitForPageSettle(expectedKey, timeoutMs = 6000) {
   });
 }
 
+// Switch pages through the embed API (page.setActive() in the page script).
+// Resolves true once Power BI has rendered the page, false if the API is
+// missing or refused - hidden tabs, collapsed app navigation and
+// drill-through pages all work this way.
+async function setEmbedPage(pageName, embedIndex) {
+  const reply = await pageScriptRequest(
+    '__pbi_annotator_set_page__', { pageName, embedIndex }, '__pbi_annotator_page_set__', 20000);
+  return !!(reply && reply.ok);
+}
+
+// Go to a page and wait until it has rendered: through the embed API when it
+// knows the page, else by clicking its navigation tab. False when neither works.
+async function navigateToPage(page) {
+  // Rendered pages of a paginated report: scroll the page into view
+  const renderedPage = window.PowerBIAnnotatorPageStore.paginatedPageNumber(page.key);
+  if (renderedPage !== null) {
+    const element = renderedPageElement(renderedPage);
+    if (!element) return false;
+    element.scrollIntoView({ block: 'start' });
+    setCurrentRenderedPage(renderedPage);
+    await waitForPageSettle(page.key);
+    return true;
+  }
+
+  const embedPage = embedPageForKey(page.key);
+  if (embedPage) {
+    // A page of another embed on this host page: switch to that embed first
+    setActiveEmbed(embedPage.embedIndex);
+    if (await setEmbedPage(embedPage.name, embedPage.embedIndex)) {
+      // The page info arrives before the reply, so the key normally matches
+      // already; this still lets the visuals finish animating in, and covers
+      // page keys that switch later (URL-driven ones)
+      await waitForPageSettle(page.key);
+      return true;
+    }
+  }
+
+  // The embed API's section id also matches App view nav links, whose page
+  // keys carry no "#ReportSection…" part
+  const target = {
+    sectionHash: embedPage ? embedPage.name : (page.key.split('#')[1] || null),
+    displayName: embedPage ? embedPage.displayName : page.name,
+  };
+
+  // The tabs of a report in an iframe are clicked by the frame itself
+  if (reportFrame) {
+    const reply = await pageScriptRequest('__pbi_annotator_frame_navigate__', target,
+      '__pbi_annotator_frame_navigated__', 2000, reportFrame.iframe.contentWindow);
+    if (!reply || !reply.ok) return false;
+    await waitForPageSettle(page.key);
+    return true;
+  }
+
+  const navEl = window.PowerBIAnnotatorPageNavigator.findNavElement(document, target);
+  if (!navEl) return false;
+  navEl.click();
+  await waitForPageSettle(page.key);
+  return true;
+}
+
 async function generateMultiPagePresentation(format) {
-  const pages = getAnnotatedPages();
-  if (pages.length === 0) return;
+  // Comments are numbered as on the badges and in the Excel export: on from
+  // the comments of every earlier page, skipped ones included
+  const annotatedPages = getAnnotatedPages();
+  const startNumbers = {};
+  let startNumber = 0;
+  annotatedPages.forEach((page) => {
+    startNumbers[page.key] = startNumber;
+    startNumber += page.count;
+  });
+
+  // Pages whose comments the status filter excludes entirely are skipped
+  const pages = annotatedPages.filter((page) => commentAnnotations(allAnnotationsCache[page.key] || [])
+    .some((annotation) => includedInExport({ status: statusOf(annotation) })));
+  if (pages.length === 0) {
+    await showModal('No comments match the export status filter.');
+    return;
+  }
   const originalKey = getPageKey();
-  const Nav = window.PowerBIAnnotatorPageNavigator;
 
   const sidebar = document.getElementById('pbi-annotator-sidebar');
   const toggleBtn = document.getElementById('pbi-toggle-btn');
@@ -1731,69 +3397,66 @@ async function generateMultiPagePresentation(format) {
 
   const progress = showExportProgress(pages.map((p) => p.name));
   const pageDataList = [];
-  let globalNumber = 1;
+  const clippedPages = [];
+  renderedPageHeld = true;
+  setExportRendering(true);
 
-  for (let i = 0; i < pages.length; i++) {
-    if (progress.isCancelled()) break;
-    const page = pages[i];
-    const pageAnnotations = allAnnotationsCache[page.key] || [];
-    const sectionHash = page.key.split('#')[1] || null;
-    progress.setStatus(i, 'active');
-
-    if (page.key !== getPageKey()) {
-      const navEl = Nav.findNavElement(document, {
-        sectionHash,
-        displayName: page.name,
-      });
-      if (!navEl) {
+  // Whatever fails mid-export, page tracking, shape filtering and the
+  // sidebar go back to normal
+  try {
+    for (let i = 0; i < pages.length; i++) {
+      if (progress.isCancelled()) break;
+      const page = pages[i];
+      const pageAnnotations = allAnnotationsCache[page.key] || [];
+      progress.setStatus(i, 'active');
+
+      if (page.key !== getPageKey() && !(await navigateToPage(page))) {
         progress.setStatus(i, 'failed');
         continue; // page listed as failed rather than silently blank
       }
-      navEl.click();
-      await waitForPageSettle(page.key);
-    }
-
-    // Hide our UI, capture, restore
-    sidebar.style.display = 'none';
-    toggleBtn.style.display = 'none';
-    await new Promise((r) => setTimeout(r, 200));
-    const raw = await captureVisiblePage();
-    sidebar.style.display = '';
-    toggleBtn.style.display = '';
+      if (isPaginatedView() && !scrollAnnotationsIntoView()) clippedPages.push(page.name);
 
-    if (progress.isCancelled()) break;
-    if (!raw) { progress.setStatus(i, 'failed'); continue; }
-    const reportCanvas = getReportCanvas();
-    const screenshot = reportCanvas ? await cropScreenshotToCanvas(raw, reportCanvas) : raw;
-
-    pageDataList.push({
-      pageName: page.name,
-      screenshot,
-      comments: pageAnnotations.map((a) => ({
-        number: globalNumber++,
-        comment: a.comment,
-        date: new Date(a.timestamp).toLocaleDateString(),
-        tool: a.tool || 'rectangle',
-        color: a.color || '#0078d4',
-      })),
-    });
-    progress.setStatus(i, 'done');
-  }
+      // Hide our UI, capture, restore
+      sidebar.style.display = 'none';
+      toggleBtn.style.display = 'none';
+      await new Promise((r) => setTimeout(r, 200));
+      const raw = await captureVisiblePage();
+      sidebar.style.display = '';
+      toggleBtn.style.display = '';
 
-  // Return to the page the user started on
-  if (getPageKey() !== originalKey) {
-    const homePage = pages.find((p) => p.key === originalKey);
-    if (homePage) {
-      const backEl = Nav.findNavElement(document, {
-        sectionHash: homePage.key.split('#')[1] || null,
-        displayName: homePage.name,
+      if (progress.isCancelled()) break;
+      if (!raw) { progress.setStatus(i, 'failed'); continue; }
+      const redacted = await redactScreenshot(raw, pageAnnotations);
+      const reportCanvas = getReportCanvas();
+      const screenshot = reportCanvas ? await cropScreenshotToCanvas(redacted, reportCanvas) : redacted;
+      const viewState = await captureViewState();
+
+      pageDataList.push({
+        pageName: exportPageTitle(page.name, page.key),
+        screenshot,
+        filters: viewState ? viewState.filters : [],
+        comments: commentAnnotations(pageAnnotations)
+          .map((a, index) => exportComment(a, startNumbers[page.key] + index + 1))
+          .filter(includedInExport),
       });
-      if (backEl) backEl.click();
+      progress.setStatus(i, 'done');
     }
+
+    // Return to the page the user started on (the embed API can reach it even
+    // when it has no annotations and so isn't in `pages`)
+    if (getPageKey() !== originalKey) {
+      const homePage = pages.find((p) => p.key === originalKey) || { key: originalKey, name: null };
+      await navigateToPage(homePage);
+    }
+  } finally {
+    renderedPageHeld = false;
+    setExportRendering(false);
+    sidebar.style.display = '';
+    toggleBtn.style.display = '';
+    progress.close();
+    if (sidebarWasOpen) sidebar.classList.add('open');
   }
 
-  progress.close();
-  if (sidebarWasOpen) sidebar.classList.add('open');
   if (pageDataList.length === 0) {
     await showModal('No pages could be captured. Click the extension icon when prompted and try again.');
     return;
@@ -1801,13 +3464,16 @@ async function generateMultiPagePresentation(format) {
   if (format === 'ppt') await generateMultiPagePptx(pageDataList);
   else await generateMultiPagePdf(pageDataList);
   showToast('Export ready — check your downloads');
+  if (clippedPages.length > 0) {
+    await showModal(`Some shapes on ${clippedPages.join(', ')} reach past the visible area and are cut off in the screenshots. Zoom the report out and export again to include them.`);
+  }
 }
 
 /**
  * Generate and download a real .pptx file using PptxGenJS.
  * Creates a widescreen slide with the screenshot and numbered comments side-by-side.
  */
-async function generatePptx(screenshot, comments, pageName) {
+async function generatePptx(screenshot, comments, pageName, filters) {
   const pres = new PptxGenJS();
   pres.layout = 'LAYOUT_WIDE'; // 13.33" x 7.5"
 
@@ -1844,6 +3510,18 @@ async function generatePptx(screenshot, comments, pageName) {
     fontFace: 'Arial',
   });
 
+  // Active filters, between the title and the content
+  slide.addText(filtersLine(filters), {
+    x: margin,
+    y: titleY + titleH,
+    w: contentW,
+    h: 0.2,
+    fontSize: 8,
+    color: '666666',
+    fontFace: 'Arial',
+    fit: 'shrink',
+  });
+
   // Screenshot — left side, calculate dimensions to maintain aspect ratio
   if (screenshot) {
     const img = new Image();
@@ -1915,18 +3593,16 @@ async function generatePptx(screenshot, comments, pageName) {
   // Comments list
   const commentsListY = contentY + 0.35;
   const commentsListH = contentH - 0.35;
-  const commentLineH = 0.28;
-  const maxCommentsPerSlide = window.PowerBIAnnotatorPresentationLayout.commentsPerSlide({
-    availableHeight: commentsListH,
-    lineHeight: commentLineH,
-  });
+  const commentLineH = 0.28; // at least the badge's height
 
   let currentY = commentsListY;
-  let commentsOnSlide = 0;
 
   for (let i = 0; i < comments.length; i++) {
+    const comment = comments[i];
+    const commentH = Math.max(commentLineH, pptxCommentHeight(comment, commentsW - 0.28));
+
     // Check if we need a new slide for overflow
-    if (commentsOnSlide >= maxCommentsPerSlide) {
+    if (currentY > commentsListY && currentY + commentH > commentsListY + commentsListH) {
       slide = pres.addSlide();
       slide.addText(pageName + ' (continued)', {
         x: margin,
@@ -1951,11 +3627,8 @@ async function generatePptx(screenshot, comments, pageName) {
       });
       
       currentY = commentsListY;
-      commentsOnSlide = 0;
     }
 
-    const comment = comments[i];
-
     // Number badge + comment text
     slide.addText([
       { text: `${comment.number}  `, options: { bold: true, color: 'FFFFFF', fontSize: 9 } },
@@ -1972,19 +3645,18 @@ async function generatePptx(screenshot, comments, pageName) {
     });
 
     // Comment text
-    slide.addText(comment.comment, {
+    slide.addText(pptxCommentRuns(comment), {
       x: commentsX + 0.28,
       y: currentY,
       w: commentsW - 0.28,
-      h: commentLineH,
+      h: commentH,
       fontSize: 8,
       color: '333333',
       fontFace: 'Arial',
       valign: 'top',
     });
 
-    currentY += commentLineH;
-    commentsOnSlide++;
+    currentY += commentH;
   }
 
   // Download the .pptx file
@@ -1996,11 +3668,97 @@ async function generatePptx(screenshot, comments, pageName) {
   await showModal(`Exported page with ${comments.length} annotation${comments.length > 1 ? 's' : ''} to ${filename}\n\nThe .pptx file has been downloaded. You can open it directly in PowerPoint or Google Slides.`);
 }
 
+// Comment entry as listed next to the screenshot in PDF/PPTX exports
+function exportComment(annotation, number) {
+  return {
+    number,
+    comment: annotation.comment,
+    caption: visualCaption(annotation),
+    date: new Date(annotation.timestamp).toLocaleDateString(),
+    tool: annotation.tool || 'rectangle',
+    color: annotation.color || '#0078d4',
+    status: statusOf(annotation),
+    // "by Alex Morgan · Bug · P1" line above the comment text
+    labels: [annotation.author ? `by ${annotation.author.name}` : '', labelsText(annotation)]
+      .filter(Boolean).join(' \u00b7 '),
+    replies: (annotation.replies || []).map((reply) => ({
+      author: authorLabel(reply.author),
+      text: reply.text,
+      date: new Date(reply.timestamp).toLocaleDateString(),
+    })),
+  };
+}
+
+// "Filters: Region = East; Year = 2024" line under an export's page title
+function filtersLine(filters) {
+  return filters && filters.length > 0 ? `Filters: ${filters.join('; ')}` : 'Filters: none';
+}
+
+// Height in inches of a comment's text box in PPTX exports, estimated from
+// its runs (text boxes keep about 0.05" of padding on each side)
+function pptxCommentHeight(comment, width) {
+  const Layout = window.PowerBIAnnotatorPresentationLayout;
+  return pptxCommentRuns(comment).reduce((height, run) => height + Layout.estimateTextHeight(run.text, {
+    width: width - 0.1,
+    fontSize: run.options.fontSize || 8,
+  }), 0.1);
+}
+
+// Comment labels, text, visual caption and replies as PptxGenJS text runs
+function pptxCommentRuns(comment) {
+  const runs = [];
+  if (comment.labels) {
+    runs.push({ text: comment.labels, options: { fontSize: 7, bold: true, color: '0078d4' } });
+  }
+  runs.push({ text: comment.comment, options: {} });
+  if (comment.caption) {
+    runs.push({ text: comment.caption, options: { fontSize: 7, italic: true, color: '777777' } });
+  }
+  comment.replies.forEach((reply) => {
+    runs.push({ text: `\u21b3 ${reply.author}: ${reply.text}`, options: { fontSize: 7, color: '555555' } });
+  });
+  runs.slice(0, -1).forEach((run) => { run.options.breakLine = true; });
+  return runs;
+}
+
+// A comment's labels, text, visual caption and indented replies as blocks of
+// wrapped jsPDF lines, so its height is known before anything is drawn
+function pdfCommentBlocks(doc, comment, maxWidth) {
+  const blocks = [];
+  function addBlock(text, fontSize, color, lineHeight, indent = 0) {
+    doc.setFontSize(fontSize); // splitTextToSize wraps at the current size
+    blocks.push({ lines: doc.splitTextToSize(text, maxWidth - indent), fontSize, color, lineHeight, indent });
+  }
+  if (comment.labels) addBlock(comment.labels, 7, [0, 120, 212], 3.5);
+  addBlock(comment.comment, 9, [51, 51, 51], 4);
+  if (comment.caption) addBlock(comment.caption, 7, [119, 119, 119], 3.5);
+  comment.replies.forEach((reply) => {
+    addBlock(`\u21b3 ${reply.author}: ${reply.text}`, 8, [85, 85, 85], 3.5, 3);
+  });
+  return blocks;
+}
+
+// Height in mm of a comment laid out by pdfCommentBlocks
+function pdfCommentHeight(blocks) {
+  return blocks.reduce((height, block) => height + block.lines.length * block.lineHeight, 0);
+}
+
+// Write a comment laid out by pdfCommentBlocks into a jsPDF doc
+function drawPdfCommentText(doc, blocks, x, y) {
+  let height = 0;
+  blocks.forEach((block) => {
+    doc.setFontSize(block.fontSize);
+    doc.setTextColor(...block.color);
+    doc.text(block.lines, x + block.indent, y + height);
+    height += block.lines.length * block.lineHeight;
+  });
+}
+
 /**
  * Generate and download a real .pdf file using jsPDF.
  * Creates an A4 landscape page with the screenshot and numbered comments side-by-side.
  */
-async function generatePdf(screenshot, comments, pageName) {
+async function generatePdf(screenshot, comments, pageName, filters) {
   const { jsPDF } = window.jspdf;
   const doc = new jsPDF({
     orientation: 'landscape',
@@ -2026,6 +3784,10 @@ async function generatePdf(screenshot, comments, pageName) {
   const textWidth = doc.getTextWidth(annotationText);
   doc.text(annotationText, pageW - margin - textWidth, margin + 8);
 
+  // Active filters, one line under the title
+  doc.setFontSize(8);
+  doc.text(doc.splitTextToSize(filtersLine(filters), contentW)[0], margin, margin + 14);
+
   // Content area
   const contentY = margin + titleH + 5;
   const contentH = pageH - contentY - margin;
@@ -2082,9 +3844,13 @@ async function generatePdf(screenshot, comments, pageName) {
 
   for (let i = 0; i < comments.length; i++) {
     const comment = comments[i];
+    const textX = commentsX + badgeRadius * 2 + 3;
+    const maxWidth = commentsW - (badgeRadius * 2 + 3) - 2;
+    const blocks = pdfCommentBlocks(doc, comment, maxWidth);
+    const commentH = Math.max(lineHeight, pdfCommentHeight(blocks));
 
     // Check if we need a new page
-    if (currentY + lineHeight > pageH - margin) {
+    if (currentY + commentH > pageH - margin) {
       doc.addPage();
       currentY = margin + 10;
 
@@ -2104,17 +3870,10 @@ async function generatePdf(screenshot, comments, pageName) {
     doc.setTextColor(255, 255, 255);
     doc.text(String(comment.number), commentsX + badgeRadius, currentY + 1, { align: 'center' });
 
-    // Comment text
-    doc.setFontSize(9);
-    doc.setTextColor(51, 51, 51);
-    const textX = commentsX + badgeRadius * 2 + 3;
-    const maxWidth = commentsW - (badgeRadius * 2 + 3) - 2;
-    
-    // Split text into lines if too long
-    const lines = doc.splitTextToSize(comment.comment, maxWidth);
-    doc.text(lines, textX, currentY + 1);
+    // Comment text (split into lines if too long) and visual caption
+    drawPdfCommentText(doc, blocks, textX, currentY + 1);
 
-    currentY += Math.max(lineHeight, lines.length * 4);
+    currentY += commentH;
   }
 
   // Download the PDF
@@ -2167,6 +3926,10 @@ async function generateMultiPagePdf(pageDataList) {
     const textWidth = doc.getTextWidth(pageLabel);
     doc.text(pageLabel, pageW - margin - textWidth, margin + 8);
 
+    // Active filters when the page was captured
+    doc.setFontSize(8);
+    doc.text(doc.splitTextToSize(filtersLine(pageData.filters), contentW)[0], margin, margin + 14);
+
     // Content area
     const contentY = margin + titleH + 5;
     const contentH = pageH - contentY - margin;
@@ -2217,9 +3980,13 @@ async function generateMultiPagePdf(pageDataList) {
 
     for (let i = 0; i < pageData.comments.length; i++) {
       const comment = pageData.comments[i];
+      const textX = commentsX + badgeRadius * 2 + 3;
+      const maxWidth = commentsW - (badgeRadius * 2 + 3) - 2;
+      const blocks = pdfCommentBlocks(doc, comment, maxWidth);
+      const commentH = Math.max(lineHeight, pdfCommentHeight(blocks));
 
       // Check if we need a new PDF page for overflow
-      if (currentY + lineHeight > pageH - margin) {
+      if (currentY + commentH > pageH - margin) {
         doc.addPage();
         currentY = margin + 10;
         doc.setFontSize(14);
@@ -2235,15 +4002,10 @@ async function generateMultiPagePdf(pageDataList) {
       doc.setTextColor(255, 255, 255);
       doc.text(String(comment.number), commentsX + badgeRadius, currentY + 1, { align: 'center' });
 
-      // Comment text
-      doc.setFontSize(9);
-      doc.setTextColor(51, 51, 51);
-      const textX = commentsX + badgeRadius * 2 + 3;
-      const maxWidth = commentsW - (badgeRadius * 2 + 3) - 2;
-      const lines = doc.splitTextToSize(comment.comment, maxWidth);
-      doc.text(lines, textX, currentY + 1);
+      // Comment text and visual caption
+      drawPdfCommentText(doc, blocks, textX, currentY + 1);
 
-      currentY += Math.max(lineHeight, lines.length * 4);
+      currentY += commentH;
     }
   }
 
@@ -2288,6 +4050,10 @@ async function generateMultiPagePptx(pageDataList) {
       x: margin, y: titleY, w: contentW, h: titleH,
       fontSize: 18, bold: true, color: '0078d4', fontFace: 'Arial',
     });
+    slide.addText(filtersLine(pageData.filters), {
+      x: margin, y: titleY + titleH, w: contentW, h: 0.2,
+      fontSize: 8, color: '666666', fontFace: 'Arial', fit: 'shrink',
+    });
 
     // Screenshot
     if (pageData.screenshot) {
@@ -2330,16 +4096,14 @@ async function generateMultiPagePptx(pageDataList) {
 
     const commentsListY = contentY + 0.35;
     const commentsListH = contentH - 0.35;
-    const commentLineH = 0.28;
-    const maxCommentsPerSlide = window.PowerBIAnnotatorPresentationLayout.commentsPerSlide({
-    availableHeight: commentsListH,
-    lineHeight: commentLineH,
-  });
+    const commentLineH = 0.28; // at least the badge's height
     let currentSlideY = commentsListY;
-    let commentsOnSlide = 0;
 
     for (let i = 0; i < pageData.comments.length; i++) {
-      if (commentsOnSlide >= maxCommentsPerSlide) {
+      const comment = pageData.comments[i];
+      const commentH = Math.max(commentLineH, pptxCommentHeight(comment, commentsW - 0.28));
+
+      if (currentSlideY > commentsListY && currentSlideY + commentH > commentsListY + commentsListH) {
         slide = pres.addSlide();
         slide.addText(pageData.pageName + ' (continued)', {
           x: margin, y: margin, w: contentW, h: titleH,
@@ -2350,11 +4114,8 @@ async function generateMultiPagePptx(pageDataList) {
           fontSize: 12, bold: true, color: '0078d4', fontFace: 'Arial',
         });
         currentSlideY = commentsListY;
-        commentsOnSlide = 0;
       }
 
-      const comment = pageData.comments[i];
-
       // Number badge
       slide.addText([
         { text: `${comment.number}  `, options: { bold: true, color: 'FFFFFF', fontSize: 9 } },
@@ -2365,14 +4126,13 @@ async function generateMultiPagePptx(pageDataList) {
       });
 
       // Comment text
-      slide.addText(comment.comment, {
+      slide.addText(pptxCommentRuns(comment), {
         x: commentsX + 0.28, y: currentSlideY,
-        w: commentsW - 0.28, h: commentLineH,
+        w: commentsW - 0.28, h: commentH,
         fontSize: 8, color: '333333', fontFace: 'Arial', valign: 'top',
       });
 
-      currentSlideY += commentLineH;
-      commentsOnSlide++;
+      currentSlideY += commentH;
     }
   }
 
@@ -2385,28 +4145,236 @@ async function generateMultiPagePptx(pageDataList) {
 
 // Get the Power BI report canvas element
 function getReportCanvas() {
+  // Several embeds: the active embed's container
+  if (isMultiEmbed()) {
+    const container = embedContainer(activeEmbedIndex);
+    if (container) return container;
+  }
+
+  // Report in an iframe: the proxy over the canvas the frame reported
+  if (reportFrame) return frameCanvasElement();
+
+  // Dashboard: the tile grid. Report selectors would match inside tiles.
+  if (isDashboardView()) {
+    const dashboardSelectors = [
+      'dashboard-canvas',
+      'div[class*="dashboardCanvas"]',
+      'div[class*="gridster"]',
+      '.dashboardContainer',
+      'dashboard',
+    ];
+    for (const selector of dashboardSelectors) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  // Paginated report: the rendered page in view
+  if (isPaginatedView()) return renderedPageElement(currentRenderedPage);
+
   // Try multiple selectors to find the report canvas
-  const canvasSelectors = [
-    'div[class*="explorationContainer"]',
-    'div.explorationContainer',
-    'exploration-container',            // App view (workspace chrome absent)
-    'report-embed div[class*="displayArea"]',
-    'visual-container-repeat',
-    'explore-canvas-modern',
-    'explore-canvas',
-    'iframe[title*="Report"]',
-    '.reportCanvas',
-    '.visualContainer'
-  ];
-  
-  for (const selector of canvasSelectors) {
-    const element = document.querySelector(selector);
-    if (element) {
-      return element;
+  return window.PowerBIAnnotatorReportDom.findReportCanvas(document);
+}
+
+// Visual containers on the current page, in DOM order
+function getVisualContainers() {
+  if (isDashboardView()) {
+    const tiles = document.querySelectorAll('tile-container');
+    return Array.from(tiles.length > 0 ? tiles : document.querySelectorAll('div[class*="tileContainer"], .tile'));
+  }
+  const containers = document.querySelectorAll('visual-container');
+  return Array.from(containers.length > 0 ? containers : document.querySelectorAll('.visualContainer'));
+}
+
+// Page rects of the canvas and of every visual container. Inside a
+// withVisualLayout() pass they are measured once and shared by all the
+// annotations resolved in it; outside one they are measured per call.
+let visualLayoutPass = null;
+
+function readVisualLayout() {
+  if (visualLayoutPass) return visualLayoutPass;
+  const Coords = window.PowerBIAnnotatorCoords;
+  const canvas = getReportCanvas();
+  return {
+    canvasRect: canvas ? Coords.getCanvasPageRect(canvas, window) : null,
+    containers: getVisualContainers().map((element) => ({
+      element,
+      rect: Coords.getCanvasPageRect(element, window),
+    })),
+  };
+}
+
+function withVisualLayout(fn) {
+  if (visualLayoutPass) return fn();
+  visualLayoutPass = readVisualLayout();
+  try {
+    return fn();
+  } finally {
+    visualLayoutPass = null;
+  }
+}
+
+// Embed API visuals, if they describe the page currently shown
+function currentEmbedVisuals() {
+  if (!embedVisuals.pageName || embedVisuals.pageName !== currentEmbedPage.name) return [];
+  return embedVisuals.visuals.filter((visual) => visual.layout);
+}
+
+// The visual-container under a pixel-space shape: the smallest one holding
+// the shape's centre (or a pin's point), since visuals can overlap.
+// Returns { element, index, rect } (rect in page coordinates) or null.
+function findVisualAt(annotation) {
+  const point = annotation.tool === 'pin' && annotation.startPoint
+    ? annotation.startPoint
+    : { x: annotation.x + annotation.width / 2, y: annotation.y + annotation.height / 2 };
+  let found = null;
+  let foundArea = Infinity;
+  readVisualLayout().containers.forEach(({ element, rect: r }, index) => {
+    const area = r.width * r.height;
+    if (area === 0 || area >= foundArea) return;
+    if (point.x < r.left || point.x > r.left + r.width || point.y < r.top || point.y > r.top + r.height) return;
+    found = { element, index, rect: r };
+    foundArea = area;
+  });
+  return found;
+}
+
+// Embed API visual for a visual-container. The DOM carries no visual id, so
+// the API layouts are scaled onto the canvas and, of the visuals whose layout
+// holds the container's centre, the nearest centre wins. A container no
+// layout holds (a group, a shape the API doesn't list, a stale list) gets
+// null rather than some unrelated visual's identity.
+// Takes the container's and the canvas's page rects. The matching happens
+// here rather than in powerbi-page-script.js: getVisuals() only gives report
+// page layouts, which the page script already posts (embedVisuals), while the
+// container and canvas rects to map them onto are measured here - and
+// anchoring runs synchronously on every draw, move and resize.
+function embedVisualFor(r, c) {
+  const visuals = currentEmbedVisuals();
+  const size = embedVisuals.pageSize;
+  if (visuals.length === 0 || !c || !size || !size.width || !size.height) return null;
+
+  const cx = (r.left + r.width / 2 - c.left) / c.width;
+  const cy = (r.top + r.height / 2 - c.top) / c.height;
+  let best = null;
+  let bestDistance = Infinity;
+  visuals.forEach((visual) => {
+    const left = visual.layout.x / size.width;
+    const top = visual.layout.y / size.height;
+    const width = visual.layout.width / size.width;
+    const height = visual.layout.height / size.height;
+    if (cx < left || cx > left + width || cy < top || cy > top + height) return;
+    const distance = Math.hypot(left + width / 2 - cx, top + height / 2 - cy);
+    if (distance < bestDistance) {
+      best = visual;
+      bestDistance = distance;
     }
+  });
+  return best;
+}
+
+// Title shown in a visual's header (or a dashboard tile's), for pages without
+// the embed API
+function visualTitleFromDom(element) {
+  const title = element.querySelector('[class*="visualTitle"], .visual-title, [class*="tileTitle"], .tile-title');
+  const text = title ? title.textContent.trim() : '';
+  return text || null;
+}
+
+// "Sales by Region (clusteredColumnChart)" - identifies the visual a comment
+// is about in the exports; null for shapes not drawn on a visual
+function visualCaption(annotation) {
+  const visual = annotation.visual;
+  if (!visual || !(visual.title || visual.type || visual.name)) return null;
+  const label = visual.title || visual.name || 'Untitled visual';
+  return visual.type ? `${label} (${visual.type})` : label;
+}
+
+// The container a stored visual anchor refers to now, as { element, rect },
+// or null if the visual is gone (the annotation then falls back to plain
+// canvas anchoring)
+function findVisualElement(anchor) {
+  const { canvasRect, containers } = readVisualLayout();
+  if (anchor.name && currentEmbedVisuals().length > 0) {
+    return containers.find((container) => {
+      // Matched once per layout pass, however many annotations ask
+      if (!('embedVisual' in container)) container.embedVisual = embedVisualFor(container.rect, canvasRect);
+      return container.embedVisual && container.embedVisual.name === anchor.name;
+    }) || null;
   }
+  const container = containers[anchor.index];
+  return container && matchesVisualAnchor(container, anchor, canvasRect) ? container : null;
+}
 
-  return null;
+// How far (in canvas fractions) an untitled visual may sit from where it was
+// anchored and still count as the same visual
+const VISUAL_MATCH_TOLERANCE = 0.1;
+
+// Without the embed API a visual is only known by its DOM position, which
+// shifts when visuals are added or removed. Accept the container at that
+// position if it still has the stored title or, for untitled visuals, sits
+// close to where the anchored one was.
+function matchesVisualAnchor(container, anchor, canvasRect) {
+  if (anchor.title) return visualTitleFromDom(container.element) === anchor.title;
+  if (!canvasRect || !anchor.rel) return false;
+  const rel = window.PowerBIAnnotatorCoords.rectToRelative(container.rect, canvasRect);
+  return ['x', 'y', 'w', 'h'].every((key) => Math.abs(rel[key] - anchor.rel[key]) <= VISUAL_MATCH_TOLERANCE);
+}
+
+// Mask every redaction on the page in a full-viewport screenshot (before any
+// cropping, so it works with or without a report canvas). Must run while the
+// page is still laid out as it was when captured.
+async function redactScreenshot(screenshotDataUrl, pageAnnotations) {
+  const redactions = pageAnnotations.filter(isRedaction);
+  if (redactions.length === 0) return screenshotDataUrl;
+
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+
+      // Same image-to-viewport mapping as cropScreenshotToCanvas
+      const scaleX = img.width / window.innerWidth;
+      const scaleY = img.height / window.innerHeight;
+
+      const rects = withVisualLayout(() => redactions.map(resolveAnnotationForLayout));
+      redactions.forEach((annotation, index) => {
+        const r = rects[index];
+        const sx = Math.max(0, Math.floor((r.x - window.scrollX) * scaleX));
+        const sy = Math.max(0, Math.floor((r.y - window.scrollY) * scaleY));
+        const sw = Math.min(canvas.width - sx, Math.ceil(r.width * scaleX));
+        const sh = Math.min(canvas.height - sy, Math.ceil(r.height * scaleY));
+        if (sw <= 0 || sh <= 0) return;
+
+        if (annotation.redactStyle === 'blackout') {
+          ctx.fillStyle = '#000000';
+          ctx.fillRect(sx, sy, sw, sh);
+          return;
+        }
+        // Pixelate: shrink the region to a few blocks, then scale it back up unsmoothed
+        const block = Math.max(8, Math.round(12 * scaleX));
+        const tiny = document.createElement('canvas');
+        tiny.width = Math.max(1, Math.ceil(sw / block));
+        tiny.height = Math.max(1, Math.ceil(sh / block));
+        tiny.getContext('2d').drawImage(canvas, sx, sy, sw, sh, 0, 0, tiny.width, tiny.height);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(tiny, 0, 0, tiny.width, tiny.height, sx, sy, sw, sh);
+        ctx.imageSmoothingEnabled = true;
+      });
+
+      resolve(canvas.toDataURL('image/png'));
+    };
+    img.onerror = () => {
+      console.error('Failed to load screenshot for redaction');
+      resolve(screenshotDataUrl);
+    };
+    img.src = screenshotDataUrl;
+  });
 }
 
 // Crop screenshot to only include the report canvas area
@@ -2414,7 +4382,17 @@ async function cropScreenshotToCanvas(screenshotDataUrl, canvasElement) {
   return new Promise((resolve) => {
     const img = new Image();
     img.onload = () => {
-      const rect = canvasElement.getBoundingClientRect();
+      // Only the part of the canvas inside the viewport was captured (a
+      // paginated report's page can run past it)
+      const r = canvasElement.getBoundingClientRect();
+      const left = Math.max(0, r.left);
+      const top = Math.max(0, r.top);
+      const rect = {
+        left,
+        top,
+        width: Math.max(1, Math.min(window.innerWidth, r.right) - left),
+        height: Math.max(1, Math.min(window.innerHeight, r.bottom) - top),
+      };
       
       // Create a canvas to crop the image
       const canvas = document.createElement('canvas');
@@ -2483,6 +4461,31 @@ function extractPageNameFromElement(element) {
 }
 
 function getPageName() {
+  // Embed API page list first. Workspace URLs name the section; App view
+  // relies on the live active page. (Must not call getPageKey(): the page
+  // store resolves display names through this function.)
+  if (embedPages.length > 0) {
+    const section = !isMultiEmbed() && window.location.pathname.match(/\/(ReportSection[a-zA-Z0-9]*)/);
+    const sectionName = section ? section[1] : currentEmbedPage.name;
+    const embedPage = embedPages.find((page) => page.name === sectionName);
+    if (embedPage) return embedPage.displayName;
+  }
+
+  if (isPaginatedView()) return `Page ${currentRenderedPage}`;
+
+  // Dashboards have no page tabs: the dashboard's own name
+  if (isDashboardView()) {
+    const title = document.querySelector('[class*="dashboardTitle"], [class*="dashboardName"]');
+    const name = (title && title.textContent.trim()) ||
+      document.title.replace(/ - Power BI.*$/i, '').trim();
+    return name || 'Power BI Dashboard';
+  }
+
+  // Report in an iframe on a host page: the name the frame read from its tabs
+  if (reportFrame) {
+    return currentEmbedPage.displayName || reportFrame.pageName || 'Power BI Report';
+  }
+
   // Priority 0: Use Power BI embed API cached page name (most reliable)
   const currentUrl = window.location.pathname + window.location.search;
   if (pageNameCache[currentUrl]) {
@@ -2626,20 +4629,63 @@ function resolveAnnotationForLayout(annotation) {
   const Coords = window.PowerBIAnnotatorCoords;
   const canvas = getReportCanvas();
   if (canvas && annotation.coordSpace === 'canvas' && annotation.rel) {
-    return Coords.annotationToAbsolute(annotation, Coords.getCanvasPageRect(canvas, window));
+    return Coords.annotationToAbsolute(annotation, anchorFrameFor(annotation, canvas));
   }
   return annotation;
 }
 
+// Page rect an annotation's canvas-relative coords resolve against: the
+// canvas itself, or - when anchored to a visual that is still on the page -
+// a frame derived from where that visual is now.
+function anchorFrameFor(annotation, canvas) {
+  const Coords = window.PowerBIAnnotatorCoords;
+  const canvasRect = visualLayoutPass && visualLayoutPass.canvasRect
+    ? visualLayoutPass.canvasRect
+    : Coords.getCanvasPageRect(canvas, window);
+  const anchor = annotation.visual;
+  if (!anchor || !anchor.rel) return canvasRect;
+  const container = findVisualElement(anchor);
+  if (!container) return canvasRect;
+  const visualRect = container.rect;
+  if (visualRect.width === 0 || visualRect.height === 0) return canvasRect;
+  return Coords.canvasRectFromVisual(visualRect, anchor.rel) || canvasRect;
+}
+
 function renderAnnotationsForCurrentPage() {
   document.querySelectorAll('.pbi-annotation-box').forEach((box) => box.remove());
-  const globalStart = getGlobalStartNumber();
-  annotations.forEach((annotation, index) => {
-    const box = createAnnotationElement(annotation, globalStart + index + 1);
-    document.body.appendChild(box);
+  withVisualLayout(() => {
+    annotations.filter(isAnnotationShown).forEach((annotation) => {
+      const box = createAnnotationElement(annotation, getAnnotationNumber(annotation.id));
+      document.body.appendChild(box);
+      if (annotation.id === selectedAnnotationId && !exportRendering) showSelectionHandles(box, annotation);
+    });
   });
 }
 
+// While screenshots are taken for an export, shapes follow the export status
+// filter (whatever Show resolved says) so they match the exported comments.
+// Stays on across the page changes of a multi-page export.
+let exportRendering = false;
+
+function setExportRendering(on) {
+  exportRendering = on;
+  renderAnnotationsForCurrentPage();
+}
+
+// Whether a shape is drawn on the report right now
+function isAnnotationShown(annotation) {
+  if (isRedaction(annotation)) return true;
+  if (exportRendering) return includedInExport({ status: statusOf(annotation) });
+  return showResolved || !isDone(annotation);
+}
+
+// Pins keep a fixed pixel size around their anchored point instead of
+// scaling their box with the canvas.
+function layoutBoxFor(resolved) {
+  if (resolved.tool !== 'pin' || !resolved.startPoint) return resolved;
+  return Object.assign({}, resolved, window.PowerBIAnnotatorTools.pinBox(resolved.startPoint));
+}
+
 // One-time upgrade of v1 (absolute-pixel) annotations. Uses the current
 // canvas rect: correct whenever the layout still matches draw-time, and
 // no worse than the old behavior when it doesn't.
@@ -2660,10 +4706,12 @@ function migrateLoadedAnnotations() {
 }
 
 function createAnnotationElement(annotation, number) {
-  const resolved = resolveAnnotationForLayout(annotation);
+  const resolved = layoutBoxFor(resolveAnnotationForLayout(annotation));
   const box = document.createElement("div");
   box.className = "pbi-annotation-box";
+  if (isDone(annotation) && !isRedaction(annotation)) box.classList.add("pbi-annotation-resolved");
   box.dataset.id = annotation.id;
+  box.dataset.tool = annotation.tool || 'rectangle';
   box.style.left = resolved.x + "px";
   box.style.top = resolved.y + "px";
   box.style.width = resolved.width + "px";
@@ -2674,21 +4722,30 @@ function createAnnotationElement(annotation, number) {
   box.style.borderColor = color;
 
   const Tools = window.PowerBIAnnotatorTools;
+  // The box outline is the rectangle tool's stroke (and frames the other outline tools)
+  if (Tools.isStrokeTool(toolName)) {
+    if (annotation.strokeWidth) box.style.borderWidth = annotation.strokeWidth + "px";
+    if (annotation.dash && annotation.dash !== 'solid') box.style.borderStyle = annotation.dash;
+  }
   const tool = Tools[toolName];
   if (tool) {
     const geometry = Tools.geometryFromAnnotation(resolved);
-    const svg = tool.render(geometry, color);
+    const svg = tool.render(geometry, color, renderStyleOf(annotation));
     if (svg) box.appendChild(svg);
   }
 
-  const badge = document.createElement('div');
-  badge.className = 'pbi-annotation-number';
-  badge.textContent = number;
-  badge.style.background = color;
-  box.appendChild(badge);
+  if (number !== null) {
+    const badge = document.createElement('div');
+    badge.className = 'pbi-annotation-number';
+    badge.textContent = number;
+    badge.title = `#${number} by ${authorLabel(annotation.author)}`;
+    badge.style.background = color;
+    box.appendChild(badge);
+  }
 
   box.addEventListener("click", (e) => {
     e.stopPropagation();
+    if (isSelectMode()) return; // selection is handled on mousedown
     showAnnotationComment(annotation.id);
   });
 
@@ -2729,6 +4786,7 @@ function loadAnnotations() {
 
     renderComments();
     renderPageList();
+    openDeepLink();
   });
 }
 
@@ -2736,18 +4794,17 @@ function loadAnnotations() {
 function getReportId() {
   // Power BI URL format: /groups/{workspace}/reports/{reportId}/ReportSection...
   // or: /reportEmbed?reportId={reportId}
-  const pathname = window.location.pathname;
-  const search = window.location.search;
+  const { pathname, search } = reportLocation();
   
-  // Try to extract from path
-  const pathMatch = pathname.match(/\/reports\/([^\/]+)/);
+  // Try to extract from path (dashboards are scoped like reports)
+  const pathMatch = pathname.match(/\/(?:reports|dashboards|rdlreports)\/([^\/]+)/);
   if (pathMatch) {
     return pathMatch[1];
   }
   
   // Try to extract from query params
   const searchParams = new URLSearchParams(search);
-  const reportId = searchParams.get('reportId');
+  const reportId = searchParams.get('reportId') || searchParams.get('dashboardId');
   if (reportId) {
     return reportId;
   }
@@ -2832,9 +4889,19 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// Power BI pages start right away; a host page's top window waits for a report
+// frame's agent (frame-agent.js) to report.
+function start() {
+  if (isPowerBIHost()) {
+    init();
+  } else {
+    window.addEventListener('message', onReportFrameMessage);
+  }
+}
+
 // Initialize when DOM is ready
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", init);
+  document.addEventListener("DOMContentLoaded", start);
 } else {
-  init();
+  start();
 }
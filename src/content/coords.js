@@ -33,6 +33,9 @@
       relFreehand: annotation.freehandPath
         ? annotation.freehandPath.map((p) => ptToRel(p, c))
         : null,
+      relVertices: annotation.vertices
+        ? annotation.vertices.map((p) => ptToRel(p, c))
+        : null,
     });
   }
 
@@ -48,15 +51,52 @@
       freehandPath: annotation.relFreehand
         ? annotation.relFreehand.map((p) => ptToAbs(p, c))
         : null,
+      vertices: annotation.relVertices
+        ? annotation.relVertices.map((p) => ptToAbs(p, c))
+        : null,
     });
   }
 
+  // A visual's page rect as fractions of the canvas
+  function rectToRelative(pageRect, canvasRect) {
+    const c = canvasRect;
+    return {
+      x: (pageRect.left - c.left) / c.width,
+      y: (pageRect.top - c.top) / c.height,
+      w: pageRect.width / c.width,
+      h: pageRect.height / c.height,
+    };
+  }
+
+  // Canvas rect implied by a visual that sat at `visualRel` (canvas fractions)
+  // when the annotation was anchored and now occupies `visualPageRect`.
+  // Resolving canvas-relative coords against it makes the shape follow the
+  // visual when the report author moves or resizes it.
+  function canvasRectFromVisual(visualPageRect, visualRel) {
+    if (!visualRel.w || !visualRel.h) return null;
+    const width = visualPageRect.width / visualRel.w;
+    const height = visualPageRect.height / visualRel.h;
+    return {
+      left: visualPageRect.left - visualRel.x * width,
+      top: visualPageRect.top - visualRel.y * height,
+      width,
+      height,
+    };
+  }
+
   function migrateAnnotation(annotation, canvasRect) {
     if (annotation.coordSpace === 'canvas' && annotation.rel) return annotation;
     return annotationToRelative(annotation, canvasRect);
   }
 
-  const api = { getCanvasPageRect, annotationToRelative, annotationToAbsolute, migrateAnnotation };
+  const api = {
+    getCanvasPageRect,
+    annotationToRelative,
+    annotationToAbsolute,
+    rectToRelative,
+    canvasRectFromVisual,
+    migrateAnnotation,
+  };
   if (typeof window !== 'undefined') window.PowerBIAnnotatorCoords = api;
   if (typeof module !== 'undefined' && module.exports) module.exports = api;
 })();
@@ -0,0 +1,90 @@
+// Injected into every frame on Power BI origins, but only acts in a report
+// iframe sitting directly in a non-Power BI host page (SharePoint Online,
+// Teams, other portals). It reports the frame's page and canvas rectangle to
+// the top window, where content.js draws and stores the annotations, and
+// clicks page tabs there for multi-page exports. Power BI's own iframes
+// (visual sandboxes) and frames nested deeper stay silent.
+(function () {
+  if (window === window.top || window.parent !== window.top) return;
+
+  const ReportDom = window.PowerBIAnnotatorReportDom;
+  const parentOrigin = window.location.ancestorOrigins && window.location.ancestorOrigins[0];
+  if (!parentOrigin || !parentOrigin.startsWith('https:') || ReportDom.isPowerBIOrigin(parentOrigin)) return;
+
+  function pageName() {
+    return window.PowerBIAnnotatorPageNavigator.activeTabName(document) ||
+      document.title.replace(/ [-|] Power BI.*$/i, '').trim() || null;
+  }
+
+  let lastState = null;
+  function reportState() {
+    const canvas = observeCanvas();
+    const rect = canvas && canvas.getBoundingClientRect();
+    const state = {
+      type: '__pbi_annotator_frame_state__',
+      location: { pathname: window.location.pathname, search: window.location.search },
+      pageName: pageName(),
+      canvas: rect && rect.width > 0
+        ? { left: rect.left, top: rect.top, width: rect.width, height: rect.height }
+        : null,
+    };
+    const serialized = JSON.stringify(state);
+    if (serialized === lastState) return;
+    lastState = serialized;
+    window.parent.postMessage(state, parentOrigin);
+  }
+
+  // Observers call this in bursts while the report renders
+  let reportTimer = null;
+  function scheduleReport() {
+    if (reportTimer) return;
+    reportTimer = setTimeout(() => {
+      reportTimer = null;
+      reportState();
+    }, 100);
+  }
+
+  // The canvas resizing, or its visuals re-rendering on a page change, is
+  // what moves the frame's state. Until the canvas exists (or after it is
+  // replaced), the document is watched for it instead.
+  let observedCanvas = null;
+  const resizeObserver = new ResizeObserver(scheduleReport);
+  const mutationObserver = new MutationObserver(scheduleReport);
+  function observeCanvas() {
+    const canvas = observedCanvas && observedCanvas.isConnected
+      ? observedCanvas
+      : ReportDom.findReportCanvas(document);
+    if (canvas === observedCanvas && canvas) return canvas;
+    resizeObserver.disconnect();
+    mutationObserver.disconnect();
+    observedCanvas = canvas;
+    if (canvas) {
+      resizeObserver.observe(canvas);
+      mutationObserver.observe(canvas, { childList: true, subtree: true });
+      // A canvas swapped out for a new one only shows up on its parent
+      if (canvas.parentNode) mutationObserver.observe(canvas.parentNode, { childList: true });
+    } else {
+      mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+    return canvas;
+  }
+
+  // Page tab clicks during a multi-page export, by the top window's request
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || !event.data) return;
+    if (event.data.type !== '__pbi_annotator_frame_navigate__') return;
+    const navEl = window.PowerBIAnnotatorPageNavigator.findNavElement(document, {
+      sectionHash: event.data.sectionHash,
+      displayName: event.data.displayName,
+    });
+    if (navEl) navEl.click();
+    window.parent.postMessage(
+      { type: '__pbi_annotator_frame_navigated__', requestId: event.data.requestId, ok: !!navEl },
+      parentOrigin);
+  });
+
+  window.addEventListener('resize', scheduleReport);
+  window.addEventListener('scroll', scheduleReport, { passive: true });
+  window.addEventListener('popstate', scheduleReport);
+  reportState();
+})();
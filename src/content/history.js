@@ -0,0 +1,65 @@
+(function () {
+  const DEFAULT_LIMIT = 50;
+
+  // Undo/redo stacks kept separately per scope (the report id), so Ctrl+Z in
+  // one report never rewinds changes made in another.
+  //
+  // An entry is { type, pages } where pages maps pageKey → { before, after }
+  // annotation arrays (null = the page had no stored entry). Entries are plain
+  // snapshots, so undo/redo is just "write `before` back" / "write `after` back".
+  function createCommandHistory({ limit = DEFAULT_LIMIT } = {}) {
+    const scopes = new Map();
+
+    function stacksFor(scope) {
+      if (!scopes.has(scope)) scopes.set(scope, { undo: [], redo: [] });
+      return scopes.get(scope);
+    }
+
+    function record(scope, entry) {
+      const stacks = stacksFor(scope);
+      stacks.undo.push(entry);
+      if (stacks.undo.length > limit) stacks.undo.shift();
+      stacks.redo.length = 0;
+    }
+
+    function undo(scope) {
+      const stacks = stacksFor(scope);
+      const entry = stacks.undo.pop();
+      if (!entry) return null;
+      stacks.redo.push(entry);
+      return entry;
+    }
+
+    function redo(scope) {
+      const stacks = stacksFor(scope);
+      const entry = stacks.redo.pop();
+      if (!entry) return null;
+      stacks.undo.push(entry);
+      return entry;
+    }
+
+    function canUndo(scope) {
+      return stacksFor(scope).undo.length > 0;
+    }
+
+    function canRedo(scope) {
+      return stacksFor(scope).redo.length > 0;
+    }
+
+    return { record, undo, redo, canUndo, canRedo };
+  }
+
+  // pageKey → annotations to write back when undoing ('before') or redoing ('after').
+  function statesFor(entry, direction) {
+    const side = direction === 'undo' ? 'before' : 'after';
+    const states = {};
+    Object.keys(entry.pages).forEach((key) => {
+      states[key] = entry.pages[key][side];
+    });
+    return states;
+  }
+
+  const api = { createCommandHistory, statesFor };
+  if (typeof window !== 'undefined') window.PowerBIAnnotatorHistory = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})();
@@ -34,7 +34,19 @@
     return null;
   }
 
-  const api = { findNavElement };
+  // Label of the selected page tab (or app nav item), or null
+  function activeTabName(doc) {
+    for (const selector of TAB_SELECTORS) {
+      for (const el of doc.querySelectorAll(selector)) {
+        const selected = el.getAttribute('aria-selected') === 'true' ||
+          ['true', 'page'].includes(el.getAttribute('aria-current'));
+        if (selected && cleanLabel(el)) return cleanLabel(el);
+      }
+    }
+    return null;
+  }
+
+  const api = { findNavElement, activeTabName };
   if (typeof window !== 'undefined') window.PowerBIAnnotatorPageNavigator = api;
   if (typeof module !== 'undefined' && module.exports) module.exports = api;
 })();
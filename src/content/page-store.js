@@ -1,4 +1,51 @@
+// Dashboards are a single canvas of tiles: one page, keyed `${dashboardId}#dashboard`
+const DASHBOARD_SECTION = 'dashboard';
+
+function isDashboardKey(key) {
+  return typeof key === 'string' && key.endsWith(`#${DASHBOARD_SECTION}`);
+}
+
+// Paginated (RDL) reports: one key per rendered page, `${reportId}#rdlpage-3`
+const PAGINATED_SECTION_PREFIX = 'rdlpage-';
+
+function paginatedPageNumber(key) {
+  const match = typeof key === 'string' && key.match(new RegExp(`#${PAGINATED_SECTION_PREFIX}(\\d+)$`));
+  return match ? Number(match[1]) : null;
+}
+
 function deriveKeyFromLocation(loc) {
+  // One of several embeds on a host page: its own report and page name
+  if (loc.embed && loc.embed.reportId && loc.embed.pageName) {
+    return {
+      key: `${loc.embed.reportId}#${loc.embed.pageName}`,
+      reportId: loc.embed.reportId,
+      sectionHash: loc.embed.pageName,
+    };
+  }
+
+  const dashboardFromPath = loc.pathname.match(/\/dashboards\/([^\/]+)/);
+  const dashboardId = dashboardFromPath
+    ? dashboardFromPath[1]
+    : /\/dashboardEmbed/i.test(loc.pathname) && new URLSearchParams(loc.search).get('dashboardId');
+  if (dashboardId) {
+    return {
+      key: `${dashboardId}#${DASHBOARD_SECTION}`,
+      reportId: dashboardId,
+      sectionHash: DASHBOARD_SECTION,
+    };
+  }
+
+  // loc.renderedPage is the rendered page in view (1 until one is reported)
+  const paginatedFromPath = loc.pathname.match(/\/rdlreports\/([^\/]+)/);
+  if (paginatedFromPath) {
+    const sectionHash = `${PAGINATED_SECTION_PREFIX}${loc.renderedPage || 1}`;
+    return {
+      key: `${paginatedFromPath[1]}#${sectionHash}`,
+      reportId: paginatedFromPath[1],
+      sectionHash,
+    };
+  }
+
   const reportIdFromPath = loc.pathname.match(/\/reports\/([^\/]+)/);
   let reportId = reportIdFromPath ? reportIdFromPath[1] : null;
   if (!reportId) {
@@ -37,6 +84,7 @@ function createPageStore({
   const cache = {};
   const pageChangeListeners = new Set();
   const dataChangeListeners = new Set();
+  const renderListeners = new Set();
   let lastKey = null;
 
   function deriveCurrent() {
@@ -97,6 +145,13 @@ function createPageStore({
     notifyDataChange();
   }
 
+  // Write a page other than the current one (undo/redo touches any page).
+  function setAnnotations(key, annotations) {
+    cache[key] = annotations;
+    persist();
+    notifyDataChange();
+  }
+
   function deleteAnnotations(key) {
     delete cache[key];
     persist();
@@ -119,6 +174,18 @@ function createPageStore({
     return () => dataChangeListeners.delete(cb);
   }
 
+  // Subscribe to finished renders of the current page (the embed API's
+  // 'rendered' event, forwarded by the page script)
+  function onPageRendered(cb) {
+    renderListeners.add(cb);
+    return () => renderListeners.delete(cb);
+  }
+
+  function pageRendered() {
+    const page = current();
+    renderListeners.forEach(cb => cb(page));
+  }
+
   function checkPageChange() {
     const { key } = deriveCurrent();
     if (key !== lastKey) {
@@ -155,10 +222,13 @@ function createPageStore({
     current,
     list,
     saveAnnotations,
+    setAnnotations,
     deleteAnnotations,
     deleteAll,
     onPageChange,
     onDataChange,
+    onPageRendered,
+    pageRendered,
     checkPageChange,
     // Live reference to the internal cache. Provided to ease incremental
     // migration of legacy call sites that read annotations[pageKey] directly.
@@ -168,9 +238,9 @@ function createPageStore({
 }
 
 if (typeof window !== 'undefined') {
-  window.PowerBIAnnotatorPageStore = { createPageStore };
+  window.PowerBIAnnotatorPageStore = { createPageStore, isDashboardKey, paginatedPageNumber };
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createPageStore };
+  module.exports = { createPageStore, isDashboardKey, paginatedPageNumber };
 }
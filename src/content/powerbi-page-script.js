@@ -6,11 +6,31 @@
 // Also intercepts history.pushState/replaceState for instant SPA navigation
 // detection. Content scripts can't override these in their isolated world,
 // so we do it here in the page world and notify via window.postMessage.
+// The report's own 'loaded', 'pageChanged' and 'rendered' events are
+// forwarded the same way.
+//
+// A page may host several report embeds (custom portals, SharePoint). Every
+// message carries the embed's index in the report list below, and each
+// embed's container element is tagged with data-pbi-annotator-embed so the
+// content script can find its canvas.
 
 (function() {
   var PBI_MSG_TYPE = '__pbi_annotator_page_info__';
   var PBI_REQUEST_TYPE = '__pbi_annotator_request_page_info__';
   var NAV_MSG_TYPE = '__pbi_annotator_navigation__';
+  var LOADED_MSG_TYPE = '__pbi_annotator_loaded__';
+  var PAGE_CHANGED_MSG_TYPE = '__pbi_annotator_page_changed__';
+  var RENDERED_MSG_TYPE = '__pbi_annotator_rendered__';
+  var VISUALS_MSG_TYPE = '__pbi_annotator_visuals__';
+  var VISUALS_REQUEST_TYPE = '__pbi_annotator_request_visuals__';
+  var PAGES_MSG_TYPE = '__pbi_annotator_pages__';
+  var SET_PAGE_TYPE = '__pbi_annotator_set_page__';
+  var PAGE_SET_TYPE = '__pbi_annotator_page_set__';
+  var SET_PAGE_TIMEOUT = 15000;
+  var VIEW_STATE_MSG_TYPE = '__pbi_annotator_view_state__';
+  var VIEW_STATE_REQUEST_TYPE = '__pbi_annotator_request_view_state__';
+  var APPLY_VIEW_STATE_TYPE = '__pbi_annotator_apply_view_state__';
+  var VIEW_STATE_APPLIED_TYPE = '__pbi_annotator_view_state_applied__';
 
   // --- Instant SPA navigation detection ---
   // Override pushState/replaceState in the page world so the content script
@@ -21,50 +41,85 @@
 
   history.pushState = function() {
     originalPushState.apply(this, arguments);
-    window.postMessage({ type: NAV_MSG_TYPE }, '*');
+    onNavigation();
   };
 
   history.replaceState = function() {
     originalReplaceState.apply(this, arguments);
-    window.postMessage({ type: NAV_MSG_TYPE }, '*');
+    onNavigation();
   };
-  var lastSentUrl = '';
-  var lastSentName = '';
+
+  // SPA navigation can also bring in a new report (and a new embed object)
+  function onNavigation() {
+    window.postMessage({ type: NAV_MSG_TYPE }, '*');
+    getReports().forEach(subscribeToReport);
+  }
+
+  var lastSent = {}; // embedIndex → "displayName|url" last posted
   var retryCount = 0;
   var maxRetries = 30; // Try for 30 seconds at 1s intervals
 
+  // Report embeds on the page, in a stable order (dashboards and tiles are skipped)
+  function getReports() {
+    if (typeof powerbi === 'undefined' || !powerbi.embeds) return [];
+    return powerbi.embeds.filter(function(embed) {
+      return embed && typeof embed.getActivePage === 'function';
+    });
+  }
+
+  function getReport(embedIndex) {
+    return getReports()[embedIndex || 0] || null;
+  }
+
+  function reportIdOf(report) {
+    if (report.config && report.config.id) return report.config.id;
+    return typeof report.getId === 'function' ? report.getId() : null;
+  }
+
+  function tagEmbedElement(report, embedIndex) {
+    if (report.element && report.element.setAttribute) {
+      report.element.setAttribute('data-pbi-annotator-embed', String(embedIndex));
+    }
+  }
+
+  function postActivePage(type, report, page) {
+    var embedIndex = getReports().indexOf(report);
+    var url = window.location.pathname + window.location.search;
+    lastSent[embedIndex] = page.displayName + '|' + url;
+    window.postMessage({
+      type: type,
+      displayName: page.displayName,
+      name: page.name,
+      url: url,
+      embedIndex: embedIndex,
+      embedCount: getReports().length,
+      reportId: reportIdOf(report)
+    }, '*');
+  }
+
   function getActivePageInfo(forceUpdate) {
     try {
       // Check if Power BI embed API is available
-      if (typeof powerbi === 'undefined' || !powerbi.embeds || powerbi.embeds.length === 0) {
-        retryCount++;
+      var reports = getReports();
+      if (reports.length === 0) {
         return false; // API not ready
       }
 
-      var report = powerbi.embeds[0];
-      if (!report || typeof report.getActivePage !== 'function') {
-        return false;
-      }
-
       var currentUrl = window.location.pathname + window.location.search;
 
-      report.getActivePage().then(function(page) {
-        if (page && page.displayName) {
+      reports.forEach(function(report, embedIndex) {
+        tagEmbedElement(report, embedIndex);
+        subscribeToReport(report);
+        report.getActivePage().then(function(page) {
+          if (!page || !page.displayName) return;
           // Send update if page name or URL changed, or if forced
-          if (forceUpdate || page.displayName !== lastSentName || currentUrl !== lastSentUrl) {
-            lastSentName = page.displayName;
-            lastSentUrl = currentUrl;
-
-            window.postMessage({
-              type: PBI_MSG_TYPE,
-              displayName: page.displayName,
-              name: page.name,
-              url: currentUrl
-            }, '*');
+          if (forceUpdate || lastSent[embedIndex] !== page.displayName + '|' + currentUrl) {
+            postActivePage(PBI_MSG_TYPE, report, page);
+            postReportPages(report);
           }
-        }
-      }).catch(function() {
-        // Silently ignore — API may not be ready yet
+        }).catch(function() {
+          // Silently ignore — API may not be ready yet
+        });
       });
 
       return true; // API was found
@@ -73,25 +128,289 @@
     }
   }
 
+  // --- Report events ---
+  // Forwarded as typed messages so the content script reacts to real page
+  // changes and renders instead of polling. Subscribed once per embed object.
+
+  var subscribedReports = [];
+
+  function subscribeToReport(report) {
+    if (subscribedReports.indexOf(report) !== -1 || typeof report.on !== 'function') return;
+    subscribedReports.push(report);
+
+    report.on('loaded', function() {
+      window.postMessage({ type: LOADED_MSG_TYPE, embedIndex: getReports().indexOf(report) }, '*');
+      getActivePageInfo(true);
+    });
+
+    // In App view PBI switches pages without changing the URL; this event is
+    // how the content script learns the new page identity
+    report.on('pageChanged', function(event) {
+      var page = event.detail && event.detail.newPage;
+      if (!page) return;
+      postActivePage(PAGE_CHANGED_MSG_TYPE, report, page);
+    });
+
+    report.on('rendered', function() {
+      report.getActivePage().then(function(page) {
+        window.postMessage({
+          type: RENDERED_MSG_TYPE,
+          pageName: page.name,
+          embedIndex: getReports().indexOf(report)
+        }, '*');
+        settlePageSets(report, page);
+      }).catch(function() {});
+    });
+  }
+
+  // --- Page navigation through the embed API ---
+  // setActive() resolves as soon as Power BI accepts the switch; visuals are
+  // only drawn once the report fires 'rendered', so replies wait for that.
+
+  var pendingPageSets = []; // { requestId, report, pageName, timer }
+
+  function replyPageSet(requestId, ok) {
+    window.postMessage({ type: PAGE_SET_TYPE, requestId: requestId, ok: ok }, '*');
+  }
+
+  // Settle the requests waiting for `page`. The active-page info is posted
+  // (synchronously, from the page 'rendered' handed over) before the replies,
+  // so the content script has switched page keys when a reply lands.
+  function settlePageSets(report, page) {
+    function waitsFor(pending) {
+      return pending.report === report && pending.pageName === page.name;
+    }
+    var settled = pendingPageSets.filter(waitsFor);
+    if (settled.length === 0) return;
+    pendingPageSets = pendingPageSets.filter(function(pending) { return !waitsFor(pending); });
+    if (page.displayName) postActivePage(PBI_MSG_TYPE, report, page);
+    postReportPages(report);
+    settled.forEach(function(pending) {
+      clearTimeout(pending.timer);
+      replyPageSet(pending.requestId, true);
+    });
+  }
+
+  function setActivePage(requestId, pageName, embedIndex) {
+    var report = getReport(embedIndex);
+    if (!report || typeof report.getPages !== 'function') {
+      replyPageSet(requestId, false);
+      return;
+    }
+    subscribeToReport(report);
+
+    report.getPages().then(function(pages) {
+      var target = pages.filter(function(page) { return page.name === pageName; })[0];
+      if (!target) {
+        replyPageSet(requestId, false);
+        return;
+      }
+      var pending = { requestId: requestId, report: report, pageName: pageName, timer: null };
+      // 'rendered' may never come (e.g. an empty page): report success anyway
+      pending.timer = setTimeout(function() {
+        pendingPageSets = pendingPageSets.filter(function(p) { return p !== pending; });
+        // Same order as settlePageSets: page info first, then the reply
+        report.getActivePage().then(function(active) {
+          if (active && active.displayName) postActivePage(PBI_MSG_TYPE, report, active);
+        }).catch(function() {}).then(function() {
+          replyPageSet(requestId, true);
+        });
+      }, SET_PAGE_TIMEOUT);
+      pendingPageSets.push(pending);
+
+      return report.getActivePage().then(function(active) {
+        // Already there: nothing will re-render
+        if (active && active.name === pageName) {
+          settlePageSets(report, active);
+          return;
+        }
+        return target.setActive();
+      });
+    }).catch(function() {
+      pendingPageSets = pendingPageSets.filter(function(pending) {
+        if (pending.requestId !== requestId) return true;
+        clearTimeout(pending.timer);
+        return false;
+      });
+      replyPageSet(requestId, false);
+    });
+  }
+
+  // Every page in the report, so page order, names and navigation targets
+  // don't have to be scraped from the page tabs. visibility: 0 = shown,
+  // 1 = hidden (e.g. drill-through pages).
+  function postReportPages(report) {
+    report.getPages().then(function(pages) {
+      window.postMessage({
+        type: PAGES_MSG_TYPE,
+        embedIndex: getReports().indexOf(report),
+        pages: pages.map(function(page) {
+          return {
+            name: page.name,
+            displayName: page.displayName,
+            order: page.order,
+            visibility: page.visibility
+          };
+        })
+      }, '*');
+    }).catch(function() {
+      // Silently ignore — the content script falls back to the page tabs
+    });
+  }
+
+  // Visuals on the active page, so the content script can anchor annotations
+  // to a visual by its stable name and record its title and type. Layouts are
+  // in report page units (pageSize), not screen pixels.
+  function getActivePageVisuals(embedIndex) {
+    try {
+      var report = getReport(embedIndex);
+      if (!report) return;
+
+      report.getActivePage().then(function(page) {
+        return page.getVisuals().then(function(visuals) {
+          window.postMessage({
+            type: VISUALS_MSG_TYPE,
+            embedIndex: embedIndex || 0,
+            pageName: page.name,
+            pageSize: page.defaultSize || null,
+            visuals: visuals.map(function(visual) {
+              return {
+                name: visual.name,
+                title: visual.title || null,
+                type: visual.type || null,
+                layout: visual.layout || null
+              };
+            })
+          }, '*');
+        });
+      }).catch(function() {
+        // Silently ignore — the content script falls back to DOM order
+      });
+    } catch (e) {
+      // API not ready
+    }
+  }
+
+  // --- Filter / slicer state ---
+
+  // One readable line per filter, e.g. "Region = East, West". Returns null
+  // for filters that don't restrict anything (basic filter on "All").
+  function describeFilter(filter) {
+    var target = filter.target || {};
+    var field = target.column || target.measure || target.hierarchyLevel || target.hierarchy || target.table || 'Filter';
+    if (filter.values) {
+      if (filter.operator === 'All' || filter.values.length === 0) return null;
+      return field + (filter.operator === 'NotIn' ? ' not in ' : ' = ') + filter.values.join(', ');
+    }
+    if (filter.conditions) {
+      if (filter.conditions.length === 0) return null;
+      var joiner = ' ' + String(filter.logicalOperator || 'And').toLowerCase() + ' ';
+      return field + ' ' + filter.conditions.map(function(condition) {
+        return condition.value === undefined ? condition.operator : condition.operator + ' ' + condition.value;
+      }).join(joiner);
+    }
+    if (filter.itemCount) {
+      return field + ': ' + filter.operator + ' ' + filter.itemCount;
+    }
+    if (filter.timeUnitsCount) {
+      return field + ': last ' + filter.timeUnitsCount + ' ' + filter.timeUnitType;
+    }
+    return field + ' (filtered)';
+  }
+
+  function describeFilters(filters) {
+    return (filters || []).map(describeFilter).filter(function(text) { return !!text; });
+  }
+
+  // Slicer selections on the active page, described like filters
+  function getSlicerFilters(page) {
+    return page.getVisuals().then(function(visuals) {
+      var slicers = visuals.filter(function(visual) { return visual.type === 'slicer'; });
+      return Promise.all(slicers.map(function(slicer) {
+        return slicer.getSlicerState().then(function(state) {
+          return describeFilters(state.filters);
+        }).catch(function() { return []; });
+      }));
+    }).then(function(lists) {
+      return [].concat.apply([], lists);
+    });
+  }
+
+  // Report filters, page filters and slicers as readable text, plus a
+  // bookmark state that restores all of them exactly.
+  function captureViewState(requestId, embedIndex) {
+    var report = getReport(embedIndex);
+    if (!report) {
+      window.postMessage({ type: VIEW_STATE_MSG_TYPE, requestId: requestId, state: null }, '*');
+      return;
+    }
+    var bookmark = report.bookmarksManager
+      ? report.bookmarksManager.capture().then(function(captured) { return captured.state; }).catch(function() { return null; })
+      : Promise.resolve(null);
+    // Not every embed type has report-level filters
+    var reportFilters;
+    try {
+      reportFilters = typeof report.getFilters === 'function'
+        ? report.getFilters().catch(function() { return []; })
+        : Promise.resolve([]);
+    } catch (e) {
+      reportFilters = Promise.resolve([]);
+    }
+    var pageFilters = report.getActivePage().then(function(page) {
+      return Promise.all([page.getFilters(), getSlicerFilters(page)]);
+    }).catch(function() { return [[], []]; });
+
+    Promise.all([bookmark, reportFilters, pageFilters]).then(function(results) {
+      var filters = describeFilters(results[1])
+        .concat(describeFilters(results[2][0]))
+        .concat(results[2][1]);
+      window.postMessage({
+        type: VIEW_STATE_MSG_TYPE,
+        requestId: requestId,
+        state: { bookmark: results[0], filters: filters }
+      }, '*');
+    });
+  }
+
+  function applyViewState(requestId, bookmarkState, embedIndex) {
+    var report = getReport(embedIndex);
+    if (!report || !report.bookmarksManager || !bookmarkState) {
+      window.postMessage({ type: VIEW_STATE_APPLIED_TYPE, requestId: requestId, ok: false }, '*');
+      return;
+    }
+    report.bookmarksManager.applyState(bookmarkState).then(function() {
+      window.postMessage({ type: VIEW_STATE_APPLIED_TYPE, requestId: requestId, ok: true }, '*');
+    }).catch(function() {
+      window.postMessage({ type: VIEW_STATE_APPLIED_TYPE, requestId: requestId, ok: false }, '*');
+    });
+  }
+
   // Listen for on-demand requests from the content script (triggered on page navigation)
   window.addEventListener('message', function(event) {
     if (event.source !== window) return;
-    if (!event.data || event.data.type !== PBI_REQUEST_TYPE) return;
-    getActivePageInfo(true);
+    if (!event.data) return;
+    var data = event.data;
+    if (data.type === PBI_REQUEST_TYPE) getActivePageInfo(true);
+    if (data.type === VISUALS_REQUEST_TYPE) getActivePageVisuals(data.embedIndex);
+    if (data.type === SET_PAGE_TYPE) setActivePage(data.requestId, data.pageName, data.embedIndex);
+    if (data.type === VIEW_STATE_REQUEST_TYPE) captureViewState(data.requestId, data.embedIndex);
+    if (data.type === APPLY_VIEW_STATE_TYPE) applyViewState(data.requestId, data.state, data.embedIndex);
   });
 
-  // Poll for the active page. Before the API is available, give up after
-  // maxRetries. Once available, KEEP polling: in App view PBI switches pages
-  // without changing the URL, so this heartbeat is the only way to notice a
-  // page change. getActivePageInfo only posts a message when name/url changes,
-  // so the steady-state cost is a cheap getActivePage() call per tick.
-  var pollInterval = setInterval(function() {
-    var found = getActivePageInfo(false);
-    if (!found && retryCount >= maxRetries) {
-      clearInterval(pollInterval);
-    }
-  }, 1000);
+  // The embed API loads after this script: look for it until it appears (or
+  // maxRetries), then rely on the report's events. A report opened later
+  // through SPA navigation is picked up by onNavigation().
+  function connect() {
+    // getActivePageInfo subscribes to and tags every embed it finds
+    return getActivePageInfo(false);
+  }
 
-  // Also try immediately
-  getActivePageInfo(false);
+  if (!connect()) {
+    var apiPoll = setInterval(function() {
+      retryCount++;
+      if (connect() || retryCount >= maxRetries) {
+        clearInterval(apiPoll);
+      }
+    }, 1000);
+  }
 })();
@@ -55,11 +55,17 @@ function chunkComments(comments, maxPerSlide) {
   return chunks;
 }
 
-function commentsPerSlide({ availableHeight, lineHeight }) {
-  return Math.floor(availableHeight / lineHeight);
+// Height in inches of `text` wrapped into a box `width` inches wide at
+// `fontSize` pt. Slide text can't be measured before PowerPoint renders it,
+// so lines are counted from an average Arial glyph width of half an em.
+function estimateTextHeight(text, { width, fontSize, lineSpacing = 1.2 }) {
+  const charsPerLine = Math.max(1, Math.floor((width * 72) / (fontSize * 0.5)));
+  const lines = String(text || '').split('\n')
+    .reduce((count, line) => count + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+  return (lines * fontSize * lineSpacing) / 72;
 }
 
-const api = { SLIDE_DIMENSIONS, computeImageFit, chunkComments, commentsPerSlide };
+const api = { SLIDE_DIMENSIONS, computeImageFit, chunkComments, estimateTextHeight };
 
 if (typeof window !== 'undefined') {
   window.PowerBIAnnotatorPresentationLayout = api;
@@ -0,0 +1,35 @@
+(function () {
+  // Report canvas candidates, most specific first
+  const REPORT_CANVAS_SELECTORS = [
+    'div[class*="explorationContainer"]',
+    'div.explorationContainer',
+    'exploration-container',            // App view (workspace chrome absent)
+    'report-embed div[class*="displayArea"]',
+    'visual-container-repeat',
+    'explore-canvas-modern',
+    'explore-canvas',
+    'iframe[title*="Report"]',
+    '.reportCanvas',
+    '.visualContainer',
+  ];
+
+  function findReportCanvas(doc) {
+    for (const selector of REPORT_CANVAS_SELECTORS) {
+      const element = doc.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  function isPowerBIOrigin(origin) {
+    try {
+      return /(^|\.)powerbi\.com$/.test(new URL(origin).hostname);
+    } catch (error) {
+      return false; // "null" (file:, sandboxed frames)
+    }
+  }
+
+  const api = { REPORT_CANVAS_SELECTORS, findReportCanvas, isPowerBIOrigin };
+  if (typeof window !== 'undefined') window.PowerBIAnnotatorReportDom = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})();
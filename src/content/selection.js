@@ -0,0 +1,105 @@
+(function () {
+  // Smallest box a resize may produce; matches the accidental-click threshold
+  // handleMouseUp uses when drawing.
+  const MIN_SIZE = 10;
+  const BOX_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+  const ENDPOINT_TOOLS = ['line', 'arrow'];
+  const FIXED_SIZE_TOOLS = ['pin']; // move only
+
+  function hasEndpointHandles(annotation) {
+    return ENDPOINT_TOOLS.includes(annotation.tool || 'rectangle') &&
+      !!annotation.startPoint && !!annotation.endPoint;
+  }
+
+  // Handle positions in the same (page-pixel) space as the annotation.
+  function handlesFor(annotation) {
+    if (FIXED_SIZE_TOOLS.includes(annotation.tool)) return [];
+    if (hasEndpointHandles(annotation)) {
+      return [
+        { name: 'start', x: annotation.startPoint.x, y: annotation.startPoint.y },
+        { name: 'end', x: annotation.endPoint.x, y: annotation.endPoint.y },
+      ];
+    }
+    const { x, y, width, height } = annotation;
+    return BOX_HANDLES.map((name) => ({
+      name,
+      x: name.includes('w') ? x : name.includes('e') ? x + width : x + width / 2,
+      y: name.includes('n') ? y : name.includes('s') ? y + height : y + height / 2,
+    }));
+  }
+
+  function shiftPoint(pt, dx, dy) {
+    return pt ? { x: pt.x + dx, y: pt.y + dy } : pt;
+  }
+
+  function moveAnnotation(annotation, dx, dy) {
+    return Object.assign({}, annotation, {
+      x: annotation.x + dx,
+      y: annotation.y + dy,
+      startPoint: shiftPoint(annotation.startPoint, dx, dy),
+      endPoint: shiftPoint(annotation.endPoint, dx, dy),
+      freehandPath: annotation.freehandPath
+        ? annotation.freehandPath.map((p) => shiftPoint(p, dx, dy))
+        : annotation.freehandPath,
+      vertices: annotation.vertices
+        ? annotation.vertices.map((p) => shiftPoint(p, dx, dy))
+        : annotation.vertices,
+    });
+  }
+
+  function resizeAnnotation(annotation, handle, dx, dy) {
+    let left = annotation.x;
+    let top = annotation.y;
+    let right = annotation.x + annotation.width;
+    let bottom = annotation.y + annotation.height;
+    if (handle.includes('w')) left = Math.min(left + dx, right - MIN_SIZE);
+    if (handle.includes('e')) right = Math.max(right + dx, left + MIN_SIZE);
+    if (handle.includes('n')) top = Math.min(top + dy, bottom - MIN_SIZE);
+    if (handle.includes('s')) bottom = Math.max(bottom + dy, top + MIN_SIZE);
+
+    const box = { x: left, y: top, width: right - left, height: bottom - top };
+    // Points keep their relative position inside the box as it stretches.
+    const scale = (pt) => pt && {
+      x: box.x + (annotation.width ? (pt.x - annotation.x) / annotation.width : 0) * box.width,
+      y: box.y + (annotation.height ? (pt.y - annotation.y) / annotation.height : 0) * box.height,
+    };
+    return Object.assign({}, annotation, box, {
+      startPoint: scale(annotation.startPoint),
+      endPoint: scale(annotation.endPoint),
+      freehandPath: annotation.freehandPath
+        ? annotation.freehandPath.map(scale)
+        : annotation.freehandPath,
+      vertices: annotation.vertices
+        ? annotation.vertices.map(scale)
+        : annotation.vertices,
+    });
+  }
+
+  function moveEndpoint(annotation, handle, dx, dy) {
+    const startPoint = handle === 'start'
+      ? shiftPoint(annotation.startPoint, dx, dy)
+      : annotation.startPoint;
+    const endPoint = handle === 'end'
+      ? shiftPoint(annotation.endPoint, dx, dy)
+      : annotation.endPoint;
+    return Object.assign({}, annotation, {
+      x: Math.min(startPoint.x, endPoint.x),
+      y: Math.min(startPoint.y, endPoint.y),
+      width: Math.abs(endPoint.x - startPoint.x),
+      height: Math.abs(endPoint.y - startPoint.y),
+      startPoint,
+      endPoint,
+    });
+  }
+
+  // `handle` is 'move', an endpoint ('start' / 'end') or a compass handle.
+  function applyDrag(annotation, handle, dx, dy) {
+    if (handle === 'move') return moveAnnotation(annotation, dx, dy);
+    if (handle === 'start' || handle === 'end') return moveEndpoint(annotation, handle, dx, dy);
+    return resizeAnnotation(annotation, handle, dx, dy);
+  }
+
+  const api = { handlesFor, applyDrag };
+  if (typeof window !== 'undefined') window.PowerBIAnnotatorSelection = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})();
@@ -1,5 +1,154 @@
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
+const DEFAULT_FONT_SIZE = 14;
+const TEXT_LINE_HEIGHT = 1.3;
+const TEXT_PADDING = 6;
+// SVG has no text layout engine, so wrapping estimates glyph width from the
+// font size (close enough for Segoe UI / Arial at label sizes).
+const TEXT_CHAR_WIDTH = 0.55;
+
+// Tools whose shape is the pointer path itself (mousemove points are kept)
+const PATH_TOOLS = ['freehand', 'highlighter'];
+const DEFAULT_OPACITY = 0.35;
+const HIGHLIGHTER_WIDTH = 16;
+// Max distance (px) a dropped point may lie from the simplified stroke
+const PATH_TOLERANCE = 1.5;
+let hatchPatternCount = 0; // pattern ids must be unique across the document
+
+// Outline tools whose stroke width / dash style the user can change.
+// Rectangle's outline is the box's CSS border, styled in content.js.
+const STROKE_TOOLS = ['rectangle', 'line', 'arrow', 'circle', 'freehand', 'polygon', 'polyline'];
+const DEFAULT_STROKE_WIDTH = 3;
+
+// A pin is a fixed-size marker whose tip sits on the anchored point
+const PIN_WIDTH = 24;
+const PIN_HEIGHT = 32;
+
+function pinBox(point) {
+  return { x: point.x - PIN_WIDTH / 2, y: point.y - PIN_HEIGHT, width: PIN_WIDTH, height: PIN_HEIGHT };
+}
+
+function isStrokeTool(toolName) {
+  return STROKE_TOOLS.includes(toolName);
+}
+
+// dash: 'solid' | 'dashed' | 'dotted' → SVG stroke-dasharray (null for solid)
+function dashArray(dash, width) {
+  if (dash === 'dashed') return `${width * 3} ${width * 2}`;
+  if (dash === 'dotted') return `${width} ${width * 1.5}`;
+  return null;
+}
+
+function applyStroke(el, color, style = {}) {
+  const width = style.strokeWidth || DEFAULT_STROKE_WIDTH;
+  el.setAttribute('stroke', color);
+  el.setAttribute('stroke-width', width);
+  const dashes = dashArray(style.dash, width);
+  if (dashes) el.setAttribute('stroke-dasharray', dashes);
+  el.setAttribute('fill', 'none');
+}
+
+// Straight segment with optional heads. arrowheads: 'none' | 'start' | 'end' | 'both'.
+// Heads are drawn as a separate solid path so a dashed shaft keeps crisp tips.
+function renderSegment(geometry, color, style, defaultHeads) {
+  const svg = createSvgContainer(geometry.width, geometry.height);
+  svg.style.overflow = 'visible'; // heads and thick strokes reach past the box
+  const { x1, y1, x2, y2 } = geometry;
+  const width = style.strokeWidth || DEFAULT_STROKE_WIDTH;
+
+  const shaft = document.createElementNS(SVG_NS, 'path');
+  shaft.setAttribute('d', `M ${x1} ${y1} L ${x2} ${y2}`);
+  applyStroke(shaft, color, style);
+  svg.appendChild(shaft);
+
+  const heads = style.arrowheads || defaultHeads;
+  const headLen = Math.max(12, width * 6 + 2); // 20px at the default 3px stroke
+  const headPath = (tipX, tipY, fromX, fromY) => {
+    const angle = Math.atan2(tipY - fromY, tipX - fromX);
+    const ax1 = tipX - headLen * Math.cos(angle - Math.PI / 6);
+    const ay1 = tipY - headLen * Math.sin(angle - Math.PI / 6);
+    const ax2 = tipX - headLen * Math.cos(angle + Math.PI / 6);
+    const ay2 = tipY - headLen * Math.sin(angle + Math.PI / 6);
+    return `M ${ax1} ${ay1} L ${tipX} ${tipY} L ${ax2} ${ay2}`;
+  };
+  const d = [];
+  if (heads === 'end' || heads === 'both') d.push(headPath(x2, y2, x1, y1));
+  if (heads === 'start' || heads === 'both') d.push(headPath(x1, y1, x2, y2));
+  if (d.length > 0) {
+    const head = document.createElementNS(SVG_NS, 'path');
+    head.setAttribute('d', d.join(' '));
+    applyStroke(head, color, { strokeWidth: width });
+    head.setAttribute('stroke-linejoin', 'round');
+    svg.appendChild(head);
+  }
+  return svg;
+}
+
+function isPathTool(toolName) {
+  return PATH_TOOLS.includes(toolName);
+}
+
+// Ramer–Douglas–Peucker: keep only the points needed to stay within
+// `tolerance` px of the original stroke. mousemove fires for every pixel, so
+// this typically drops 80–90% of a freehand path before it is stored.
+function simplifyPath(points, tolerance = PATH_TOLERANCE) {
+  if (!points || points.length < 3) return points && points.slice();
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((p, i) => keep[i]);
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Smooth SVG path through the points: each point becomes the control point
+// of a quadratic curve between the midpoints of its neighbouring segments.
+function smoothPathData(points) {
+  if (points.length < 3) {
+    return points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+  }
+  const parts = [`M ${points[0].x} ${points[0].y}`];
+  for (let i = 1; i < points.length - 1; i++) {
+    const midX = (points[i].x + points[i + 1].x) / 2;
+    const midY = (points[i].y + points[i + 1].y) / 2;
+    parts.push(`Q ${points[i].x} ${points[i].y} ${midX} ${midY}`);
+  }
+  const last = points[points.length - 1];
+  parts.push(`L ${last.x} ${last.y}`);
+  return parts.join(' ');
+}
+
+// Tools built from clicked vertices rather than a drag
+const VERTEX_TOOLS = ['polygon', 'polyline'];
+
+function isVertexTool(toolName) {
+  return VERTEX_TOOLS.includes(toolName);
+}
+
 function createSvgContainer(width, height) {
   const svg = document.createElementNS(SVG_NS, 'svg');
   svg.setAttribute('width', width);
@@ -12,17 +161,18 @@ function createSvgContainer(width, height) {
 }
 
 function computeGeometry(toolName, startPoint, currentPoint, freehandPoints) {
-  if (toolName === 'freehand' && freehandPoints && freehandPoints.length > 0) {
+  const usesPoints = isPathTool(toolName) || isVertexTool(toolName);
+  if (usesPoints && freehandPoints && freehandPoints.length > 0) {
     const xs = freehandPoints.map(p => p.x);
     const ys = freehandPoints.map(p => p.y);
     const x = Math.min(...xs);
     const y = Math.min(...ys);
     const width = Math.max(...xs) - x;
     const height = Math.max(...ys) - y;
-    return {
-      x, y, width, height,
-      freehandPath: freehandPoints.map(p => ({ x: p.x - x, y: p.y - y })),
-    };
+    const points = freehandPoints.map(p => ({ x: p.x - x, y: p.y - y }));
+    return isVertexTool(toolName)
+      ? { x, y, width, height, vertices: points }
+      : { x, y, width, height, freehandPath: points };
   }
   const x = Math.min(startPoint.x, currentPoint.x);
   const y = Math.min(startPoint.y, currentPoint.y);
@@ -37,6 +187,33 @@ function computeGeometry(toolName, startPoint, currentPoint, freehandPoints) {
   };
 }
 
+function wrapText(text, maxWidth, fontSize) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * TEXT_CHAR_WIDTH)));
+  const lines = [];
+  String(text || '').split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      while (word.length > maxChars) {
+        if (line) { lines.push(line); line = ''; }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (!line) line = word;
+      else if (line.length + 1 + word.length <= maxChars) line += ' ' + word;
+      else { lines.push(line); line = word; }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// background: 'white' (label), 'solid' (filled with the annotation color) or 'none'
+function textColors(background, color) {
+  if (background === 'solid') return { fill: color, stroke: color, text: '#ffffff' };
+  if (background === 'none') return { fill: null, stroke: null, text: color };
+  return { fill: '#ffffff', stroke: color, text: color };
+}
+
 function geometryFromAnnotation(annotation) {
   const geometry = {
     x: annotation.x,
@@ -55,6 +232,12 @@ function geometryFromAnnotation(annotation) {
     geometry.x2 = annotation.width;
     geometry.y2 = annotation.height;
   }
+  if (annotation.vertices) {
+    geometry.vertices = annotation.vertices.map(p => ({
+      x: p.x - annotation.x,
+      y: p.y - annotation.y,
+    }));
+  }
   if (annotation.freehandPath) {
     const minX = Math.min(...annotation.freehandPath.map(p => p.x));
     const minY = Math.min(...annotation.freehandPath.map(p => p.y));
@@ -66,9 +249,27 @@ function geometryFromAnnotation(annotation) {
   return geometry;
 }
 
+// elementName: 'polygon' (closed) or 'polyline' (open)
+function renderVertices(elementName, geometry, color, style) {
+  const svg = createSvgContainer(geometry.width, geometry.height);
+  svg.style.overflow = 'visible';
+  const shape = document.createElementNS(SVG_NS, elementName);
+  shape.setAttribute('points', (geometry.vertices || []).map(p => `${p.x},${p.y}`).join(' '));
+  applyStroke(shape, color, style);
+  shape.setAttribute('stroke-linejoin', 'round');
+  svg.appendChild(shape);
+  return svg;
+}
+
 const PowerBIAnnotatorTools = {
   computeGeometry,
   geometryFromAnnotation,
+  isPathTool,
+  isVertexTool,
+  simplifyPath,
+  isStrokeTool,
+  pinBox,
+  wrapText,
   rectangle: {
     name: 'rectangle',
     render() {
@@ -77,71 +278,179 @@ const PowerBIAnnotatorTools = {
   },
   line: {
     name: 'line',
-    render(geometry, color) {
-      const svg = createSvgContainer(geometry.width, geometry.height);
-      const line = document.createElementNS(SVG_NS, 'line');
-      line.setAttribute('x1', geometry.x1);
-      line.setAttribute('y1', geometry.y1);
-      line.setAttribute('x2', geometry.x2);
-      line.setAttribute('y2', geometry.y2);
-      line.setAttribute('stroke', color);
-      line.setAttribute('stroke-width', '3');
-      svg.appendChild(line);
-      return svg;
+    render(geometry, color, style = {}) {
+      return renderSegment(geometry, color, style, 'none');
     },
   },
   arrow: {
     name: 'arrow',
-    render(geometry, color) {
-      const svg = createSvgContainer(geometry.width, geometry.height);
-      const path = document.createElementNS(SVG_NS, 'path');
-      const { x1, y1, x2, y2 } = geometry;
-      const headLen = 20;
-      const angle = Math.atan2(y2 - y1, x2 - x1);
-      const ax1 = x2 - headLen * Math.cos(angle - Math.PI / 6);
-      const ay1 = y2 - headLen * Math.sin(angle - Math.PI / 6);
-      const ax2 = x2 - headLen * Math.cos(angle + Math.PI / 6);
-      const ay2 = y2 - headLen * Math.sin(angle + Math.PI / 6);
-      path.setAttribute('d', `M ${x1} ${y1} L ${x2} ${y2} M ${ax1} ${ay1} L ${x2} ${y2} L ${ax2} ${ay2}`);
-      path.setAttribute('stroke', color);
-      path.setAttribute('stroke-width', '3');
-      path.setAttribute('fill', 'none');
-      svg.appendChild(path);
-      return svg;
+    render(geometry, color, style = {}) {
+      return renderSegment(geometry, color, style, 'end');
     },
   },
   circle: {
     name: 'circle',
-    render(geometry, color) {
+    render(geometry, color, style = {}) {
       const svg = createSvgContainer(geometry.width, geometry.height);
       const ellipse = document.createElementNS(SVG_NS, 'ellipse');
       ellipse.setAttribute('cx', geometry.width / 2);
       ellipse.setAttribute('cy', geometry.height / 2);
       ellipse.setAttribute('rx', geometry.width / 2);
       ellipse.setAttribute('ry', geometry.height / 2);
-      ellipse.setAttribute('stroke', color);
-      ellipse.setAttribute('stroke-width', '3');
-      ellipse.setAttribute('fill', 'none');
+      applyStroke(ellipse, color, style);
       svg.appendChild(ellipse);
       return svg;
     },
   },
-  freehand: {
-    name: 'freehand',
+  polygon: {
+    name: 'polygon',
+    render(geometry, color, style = {}) {
+      return renderVertices('polygon', geometry, color, style);
+    },
+  },
+  polyline: {
+    name: 'polyline',
+    render(geometry, color, style = {}) {
+      return renderVertices('polyline', geometry, color, style);
+    },
+  },
+  // Map-pin marker; the number badge sits in its head (see content.css)
+  pin: {
+    name: 'pin',
     render(geometry, color) {
+      const svg = createSvgContainer(PIN_WIDTH, PIN_HEIGHT);
+      const path = document.createElementNS(SVG_NS, 'path');
+      const r = PIN_WIDTH / 2;
+      path.setAttribute('d', `M ${r} ${PIN_HEIGHT} L ${r * 0.3} ${r * 1.7} A ${r} ${r} 0 1 1 ${r * 1.7} ${r * 1.7} Z`);
+      path.setAttribute('fill', color);
+      path.setAttribute('stroke', '#ffffff');
+      path.setAttribute('stroke-width', '1.5');
+      svg.appendChild(path);
+      return svg;
+    },
+  },
+  // Comment rendered on the report itself. `style` carries the label text
+  // plus fontSize and background; the label grows downward to fit its text.
+  text: {
+    name: 'text',
+    render(geometry, color, style = {}) {
+      const fontSize = style.fontSize || DEFAULT_FONT_SIZE;
+      const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+      const lines = wrapText(style.text, geometry.width - TEXT_PADDING * 2, fontSize);
+      const height = Math.max(geometry.height, lines.length * lineHeight + TEXT_PADDING * 2);
+      const colors = textColors(style.background, color);
+
+      const svg = createSvgContainer(geometry.width, height);
+      svg.style.overflow = 'visible';
+      if (colors.fill) {
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('width', geometry.width);
+        rect.setAttribute('height', height);
+        rect.setAttribute('rx', '4');
+        rect.setAttribute('fill', colors.fill);
+        rect.setAttribute('stroke', colors.stroke);
+        rect.setAttribute('stroke-width', '1.5');
+        svg.appendChild(rect);
+      }
+      const text = document.createElementNS(SVG_NS, 'text');
+      text.setAttribute('font-size', fontSize);
+      text.setAttribute('font-family', '"Segoe UI", Arial, sans-serif');
+      text.setAttribute('fill', colors.text);
+      lines.forEach((line, i) => {
+        const tspan = document.createElementNS(SVG_NS, 'tspan');
+        tspan.setAttribute('x', TEXT_PADDING);
+        tspan.setAttribute('y', TEXT_PADDING + fontSize + i * lineHeight);
+        tspan.textContent = line;
+        text.appendChild(tspan);
+      });
+      svg.appendChild(text);
+      return svg;
+    },
+  },
+  // Translucent filled rectangle for marking a region without hiding it
+  area: {
+    name: 'area',
+    render(geometry, color, style = {}) {
       const svg = createSvgContainer(geometry.width, geometry.height);
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('width', geometry.width);
+      rect.setAttribute('height', geometry.height);
+      rect.setAttribute('fill', color);
+      rect.setAttribute('fill-opacity', style.opacity != null ? style.opacity : DEFAULT_OPACITY);
+      svg.appendChild(rect);
+      return svg;
+    },
+  },
+  // Wide translucent freehand band, like a marker pen over a table row
+  highlighter: {
+    name: 'highlighter',
+    render(geometry, color, style = {}) {
+      const svg = createSvgContainer(geometry.width, geometry.height);
+      svg.style.overflow = 'visible'; // the band is wider than the path's bounding box
       const path = document.createElementNS(SVG_NS, 'path');
-      const d = geometry.freehandPath
-        .map((p, i) => (i === 0 ? `M ${p.x} ${p.y}` : `L ${p.x} ${p.y}`))
-        .join(' ');
-      path.setAttribute('d', d);
+      path.setAttribute('d', smoothPathData(geometry.freehandPath));
       path.setAttribute('stroke', color);
-      path.setAttribute('stroke-width', '3');
+      path.setAttribute('stroke-width', HIGHLIGHTER_WIDTH);
+      path.setAttribute('stroke-opacity', style.opacity != null ? style.opacity : DEFAULT_OPACITY);
+      path.setAttribute('stroke-linecap', 'round');
+      path.setAttribute('stroke-linejoin', 'round');
       path.setAttribute('fill', 'none');
       svg.appendChild(path);
       return svg;
     },
   },
+  // Redaction: only a hatched outline on the live page. The masking itself
+  // (pixelate / black out) is applied to captured screenshots in content.js.
+  redact: {
+    name: 'redact',
+    render(geometry) {
+      const svg = createSvgContainer(geometry.width, geometry.height);
+      const patternId = `pbi-hatch-${++hatchPatternCount}`;
+      const defs = document.createElementNS(SVG_NS, 'defs');
+      const pattern = document.createElementNS(SVG_NS, 'pattern');
+      pattern.setAttribute('id', patternId);
+      pattern.setAttribute('width', '8');
+      pattern.setAttribute('height', '8');
+      pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+      pattern.setAttribute('patternTransform', 'rotate(45)');
+      const stripe = document.createElementNS(SVG_NS, 'line');
+      stripe.setAttribute('x1', '0');
+      stripe.setAttribute('y1', '0');
+      stripe.setAttribute('x2', '0');
+      stripe.setAttribute('y2', '8');
+      stripe.setAttribute('stroke', '#252423');
+      stripe.setAttribute('stroke-width', '1.5');
+      stripe.setAttribute('stroke-opacity', '0.6');
+      pattern.appendChild(stripe);
+      defs.appendChild(pattern);
+      svg.appendChild(defs);
+
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('x', '1');
+      rect.setAttribute('y', '1');
+      rect.setAttribute('width', Math.max(0, geometry.width - 2));
+      rect.setAttribute('height', Math.max(0, geometry.height - 2));
+      rect.setAttribute('fill', `url(#${patternId})`);
+      rect.setAttribute('stroke', '#252423');
+      rect.setAttribute('stroke-width', '2');
+      rect.setAttribute('stroke-dasharray', '6 4');
+      svg.appendChild(rect);
+      return svg;
+    },
+  },
+  freehand: {
+    name: 'freehand',
+    render(geometry, color, style = {}) {
+      const svg = createSvgContainer(geometry.width, geometry.height);
+      svg.style.overflow = 'visible'; // a flat stroke has a near-zero-height box
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', smoothPathData(geometry.freehandPath));
+      applyStroke(path, color, style);
+      path.setAttribute('stroke-linejoin', 'round');
+      svg.appendChild(path);
+      return svg;
+    },
+  },
 };
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,28 @@
+// Power BI Annotator - Settings page
+// The author identity lives in chrome.storage.local under `author`
+// ({ name, initials }); content scripts pick up changes as they happen.
+
+const nameInput = document.getElementById('author-name');
+const initialsInput = document.getElementById('author-initials');
+const status = document.getElementById('status');
+
+chrome.storage.local.get(['author'], (result) => {
+  if (chrome.runtime.lastError || !result.author) return;
+  nameInput.value = result.author.name || '';
+  initialsInput.value = result.author.initials || '';
+});
+
+document.getElementById('save').addEventListener('click', () => {
+  const name = nameInput.value.trim();
+  const initials = initialsInput.value.trim().toUpperCase();
+  const done = () => {
+    status.textContent = chrome.runtime.lastError ? 'Could not save' : 'Saved';
+    setTimeout(() => { status.textContent = ''; }, 2000);
+  };
+  // An empty name clears the identity (annotations become anonymous)
+  if (name) {
+    chrome.storage.local.set({ author: { name, initials } }, done);
+  } else {
+    chrome.storage.local.remove('author', done);
+  }
+});